@@ -1,106 +1,22 @@
 #!/usr/bin/env node
 /**
  * ground-zero build CLI:
- * - Compiles EJS pages into an isolated production HTML cache
+ * - Compiles EJS pages into an isolated production HTML cache, in parallel worker threads,
+ *   reusing unchanged pages from tmp/html-cache (pass --no-cache to compile every page and convert every image)
  * - Runs Vite build with packaged config
  * - Copies static src/assets files into build/assets while Vite emits JS/CSS bundles there too
- * - Generates responsive images from src/assets/images into build/assets/images
+ * - Generates responsive images from src/assets/images into build/assets/images, reusing conversions from tmp/image-cache
  * - Generates sitemap.xml and robots.txt from src/pages metadata
  * - Removes the temporary HTML cache after a successful build
  */
-import { spawn } from 'node:child_process';
-import { readdirSync, rmSync } from 'node:fs';
-import { resolve as pathResolve, dirname } from 'node:path';
-import { createRequire } from 'node:module';
-import { compileAll } from '../scripts/compile-ejs.js';
-import { loadBasePath } from '../scripts/base-path.js';
-import { copySourceAssetsToBuild } from '../scripts/assets.js';
-import {
-    buildResponsiveImageManifest,
-    loadImageConversionConfig,
-    writeResponsiveImages
-} from '../scripts/responsive-images.js';
-import { writeSitemapFiles } from '../scripts/sitemap.js';
+import { build } from '../scripts/api.js';
+import { formatCompileError } from '../scripts/template-errors.js';
 
-const DIRNAME = import.meta.dirname;
-const PKG_ROOT = pathResolve(DIRNAME, '..');
-const require = createRequire(import.meta.url);
+const useHtmlCache = !process.argv.includes('--no-cache');
 
-let viteBin = '';
-try {
-    const vitePkgPath = require.resolve('vite/package.json');
-    viteBin = pathResolve(dirname(vitePkgPath), 'bin', 'vite.js');
-} catch {
-    console.error('Vite is not installed. Please ensure ground-zero dependencies are installed.');
-    process.exit(1);
-}
-
-const configPath = pathResolve(PKG_ROOT, 'vite.config.js');
-const minifyCssScript = pathResolve(PKG_ROOT, 'scripts', 'minify-css.js');
-const minifyHtmlScript = pathResolve(PKG_ROOT, 'scripts', 'minify-html.js');
-const tempRoot = pathResolve(process.cwd(), 'tmp');
-const buildHtmlRoot = pathResolve(process.cwd(), 'tmp', 'build-html');
-const buildRoot = pathResolve(process.cwd(), 'build');
-const buildAssetsRoot = pathResolve(process.cwd(), 'build', 'assets');
-const buildImagesRoot = pathResolve(buildAssetsRoot, 'images');
-
-/**
- * Spawn a Node.js subprocess and forward its stdio.
- * @param {string[]} args - CLI arguments passed to `node`.
- * @param {NodeJS.ProcessEnv} [env] - Optional environment overrides.
- * @returns {Promise<void>} Resolves when the subprocess exits successfully.
- */
-function runNode(args, env) {
-    return new Promise((resolve, reject) => {
-        const child = spawn(process.execPath, args, {
-            stdio: 'inherit',
-            cwd: process.cwd(),
-            env: env ? { ...process.env, ...env } : process.env
-        });
-        child.on('exit', (code) => {
-            if (code === 0) resolve();
-            else reject(new Error(`Command failed with exit code ${code}`));
-        });
-    });
-}
-
-/**
- * Remove the temporary HTML cache after a successful build.
- * @returns {void}
- */
-function cleanupTempBuildHtml() {
-    rmSync(buildHtmlRoot, { recursive: true, force: true });
-    try {
-        if (readdirSync(tempRoot).length === 0) {
-            rmSync(tempRoot, { recursive: true, force: true });
-        }
-    } catch {
-        // Ignore cleanup follow-up errors; build output is already complete.
-    }
-}
-
-(async () => {
-    const basePath = await loadBasePath();
-    const imageConfig = await loadImageConversionConfig();
-    const imageManifest = await buildResponsiveImageManifest(imageConfig, basePath);
-
-    await compileAll(buildHtmlRoot, {
-        responsiveImages: true,
-        imageManifest,
-        imageConfig,
-        basePath
-    });
-    await runNode([viteBin, 'build', '--config', configPath], {
-        GZERO_HTML_ROOT: buildHtmlRoot
-    });
-    copySourceAssetsToBuild(buildAssetsRoot, { skipTopLevelDirs: ['images'] });
-    await writeResponsiveImages(imageManifest, buildImagesRoot, imageConfig);
-    await writeSitemapFiles(buildRoot);
-    await runNode([minifyHtmlScript]);
-    await runNode([minifyCssScript]);
-    cleanupTempBuildHtml();
-})().catch((err) => {
-    console.error(err);
+build({ cache: useHtmlCache }).then((result) => {
+    console.log(`Built ${result.pages.length} pages and ${result.images.length} images in ${result.timings.total}ms`);
+}).catch((err) => {
+    console.error(formatCompileError(err));
     process.exit(1);
 });
-
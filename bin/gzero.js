@@ -8,7 +8,8 @@
 import { spawn } from 'node:child_process';
 import { resolve as pathResolve, dirname } from 'node:path';
 import { createRequire } from 'node:module';
-import { compileAll } from '../scripts/compile-ejs.js';
+import { compileAll, savePageDependencies } from '../scripts/compile-ejs.js';
+import { formatCompileError } from '../scripts/template-errors.js';
 
 const DIRNAME = import.meta.dirname;
 const PKG_ROOT = pathResolve(DIRNAME, '..');
@@ -26,6 +27,8 @@ try {
 
 const configPath = pathResolve(PKG_ROOT, 'vite.config.js');
 const watchIconsScript = pathResolve(PKG_ROOT, 'scripts/watch-icons.js');
+// Hands the dependencies recorded by the first compile to the Vite process, which does the rebuilds.
+const pageDependenciesFile = pathResolve(process.cwd(), 'tmp/dev-page-dependencies.json');
 
 /** @type {import('node:child_process').ChildProcess | null} */
 let iconsWatcher = null;
@@ -51,7 +54,8 @@ function runIconsWatcher() {
 function runViteServe() {
     const child = spawn(process.execPath, [viteBin, 'serve', '--config', configPath], {
         stdio: 'inherit',
-        cwd: process.cwd()
+        cwd: process.cwd(),
+        env: { ...process.env, GZERO_PAGE_DEPENDENCIES: pageDependenciesFile }
     });
     child.on('error', (err) => {
         console.error('[vite] failed to start:', err.message);
@@ -71,12 +75,13 @@ function runViteServe() {
  */
 (async () => {
     // Precompile EJS pages so Vite has HTML inputs
-    await compileAll();
+    await compileAll(undefined, { devImages: true });
+    savePageDependencies(pageDependenciesFile);
     // Start icons watcher in background
     runIconsWatcher();
     // Start Vite dev server (foreground, exits when done)
     runViteServe();
 })().catch((err) => {
-    console.error(err);
+    console.error(formatCompileError(err));
     process.exit(1);
 });
@@ -2,7 +2,7 @@ export default {
     siteUrl: 'https://my-site.com',
     basePath: '/',
     imageConversion: {
-        format: 'avif',
+        formats: ['avif', 'webp'],
         quality: 70,
         sizes: [480, 960, 1440],
         injectIntrinsicSize: true
@@ -0,0 +1,5 @@
+/**
+ * ground-zero Node API: build, compile and serve a site from another program.
+ */
+export { build, compile, dev } from './scripts/api.js';
+export { formatCompileError } from './scripts/template-errors.js';
@@ -0,0 +1,290 @@
+import { spawn } from 'node:child_process';
+import { readdirSync, readFileSync, rmSync } from 'node:fs';
+import { availableParallelism } from 'node:os';
+import { join, resolve as pathResolve } from 'node:path';
+import { performance } from 'node:perf_hooks';
+import { fileURLToPath } from 'node:url';
+import { build as viteBuild, createServer } from 'vite';
+import { createViteConfig } from '../vite.config.js';
+import { compileAll } from './compile-ejs.js';
+import { loadBasePath } from './base-path.js';
+import { copySourceAssetsToBuild } from './assets.js';
+import {
+    buildResponsiveImageManifest,
+    findImageVariantsInHtml,
+    loadImageConversionConfig,
+    writeResponsiveImages
+} from './responsive-images.js';
+import { writeSitemapFiles } from './sitemap.js';
+import { minifyAllHtml } from './minify-html.js';
+import { minifyAllCss } from './minify-css.js';
+import { withProjectConfigOverrides } from './project-config.js';
+import { loadPlugins, runBuildHook } from './plugins.js';
+
+const CWD = process.cwd();
+const TEMP_ROOT = join(CWD, 'tmp');
+const BUILD_HTML_ROOT = join(CWD, 'tmp/build-html');
+const BUILD_ROOT = join(CWD, 'build');
+const BUILD_IMAGES_DIR = 'assets/images';
+const DEV_HTML_ROOT = join(CWD, 'dev-html');
+const WATCH_ICONS_SCRIPT = fileURLToPath(new URL('./watch-icons.js', import.meta.url));
+
+/**
+ * Settles when the last queued `build()` or `compile()` call has finished.
+ * @type {Promise<unknown>}
+ */
+let lastQueuedCall = Promise.resolve();
+
+/**
+ * @typedef {Object} BuildOptions
+ * @property {Record<string, unknown>} [config] - Config keys that override `gzero.config.js`, e.g. `{ basePath: '/docs/' }`.
+ * @property {boolean} [cache=true] - Reuse unchanged pages from `tmp/html-cache` and converted images from `tmp/image-cache`.
+ * @property {number} [workers] - Worker threads for compiling pages, defaults to the available CPU cores.
+ */
+
+/**
+ * @typedef {Object} BuildTimings
+ * @property {number} compile - Milliseconds spent compiling pages.
+ * @property {number} bundle - Milliseconds spent in the Vite build.
+ * @property {number} assets - Milliseconds spent copying `src/assets`.
+ * @property {number} images - Milliseconds spent writing responsive images.
+ * @property {number} sitemap - Milliseconds spent writing `sitemap.xml` and `robots.txt`.
+ * @property {number} minify - Milliseconds spent minifying HTML and CSS.
+ * @property {number} total - Milliseconds for the whole build.
+ */
+
+/**
+ * @typedef {Object} BuildResult
+ * @property {string} outDir - Absolute build directory.
+ * @property {string[]} pages - Built HTML pages, relative to `outDir`.
+ * @property {number} cachedPages - Number of pages reused from `tmp/html-cache`.
+ * @property {string[]} images - Emitted responsive image files, relative to `outDir`.
+ * @property {number} cachedImages - Number of image files copied from `tmp/image-cache`.
+ * @property {BuildTimings} timings - Duration of each build step.
+ */
+
+/**
+ * @typedef {Object} CompileApiOptions
+ * @property {Record<string, unknown>} [config] - Config keys that override `gzero.config.js`.
+ * @property {string} [outDir] - Output directory, defaults to `dev-html/`.
+ * @property {boolean} [cache=false] - Reuse unchanged pages from `tmp/html-cache`.
+ * @property {number} [workers=1] - Worker threads for compiling pages.
+ */
+
+/**
+ * @typedef {Object} CompileApiResult
+ * @property {string} outDir - Absolute output directory.
+ * @property {string[]} pages - Written HTML pages, relative to `outDir`.
+ * @property {number} cachedPages - Number of pages reused from `tmp/html-cache`.
+ * @property {{ compile: number }} timings - Milliseconds spent compiling pages.
+ */
+
+/**
+ * @typedef {Object} DevOptions
+ * @property {Record<string, unknown>} [config] - Config keys that override `gzero.config.js`.
+ * @property {number} [port] - Vite dev server port, defaults to Vite's port.
+ */
+
+/**
+ * @typedef {Object} DevServer
+ * @property {import('vite').ViteDevServer} server - Running Vite dev server.
+ * @property {string} url - Local URL of the dev server.
+ * @property {() => Promise<void>} close - Stop the dev server and the icons watcher.
+ */
+
+/**
+ * Measure how long an async step takes.
+ * @template T
+ * @param {Record<string, number>} timings - Receives the duration under `name`.
+ * @param {string} name - Step name.
+ * @param {() => Promise<T> | T} step - Step to run.
+ * @returns {Promise<T>} Step result.
+ */
+async function timeStep(timings, name, step) {
+    const start = performance.now();
+    try {
+        return await step();
+    } finally {
+        timings[name] = Math.round(performance.now() - start);
+    }
+}
+
+/**
+ * Run a `build()` or `compile()` call after the earlier ones have finished. They share
+ * `tmp/build-html`, `build/`, the caches in `tmp/` and the SVG sprite partial, so calls made at
+ * the same time would overwrite each other's output.
+ * @template T
+ * @param {() => Promise<T>} call - Call to run.
+ * @returns {Promise<T>} Result of `call`.
+ */
+function runQueued(call) {
+    const result = lastQueuedCall.then(call);
+    lastQueuedCall = result.catch(() => undefined);
+    return result;
+}
+
+/**
+ * Remove the temporary build HTML after a successful build.
+ * @returns {void}
+ */
+function cleanupTempBuildHtml() {
+    rmSync(BUILD_HTML_ROOT, { recursive: true, force: true });
+    try {
+        if (readdirSync(TEMP_ROOT).length === 0) {
+            rmSync(TEMP_ROOT, { recursive: true, force: true });
+        }
+    } catch {
+        // Ignore cleanup follow-up errors; build output is already complete.
+    }
+}
+
+/**
+ * Build the site into `build/`, like `gzero-build`. Waits for earlier `build()` and `compile()` calls to finish.
+ * Rejects with the build error instead of exiting the process; format it with `formatCompileError()`.
+ * @param {BuildOptions} [options] - Config overrides, HTML cache and worker threads.
+ * @returns {Promise<BuildResult>} Built pages, emitted images and step timings.
+ */
+export async function build(options = {}) {
+    const { config, cache = true, workers = availableParallelism() } = options;
+    return withProjectConfigOverrides(config, () => runQueued(runBuild));
+
+    /**
+     * Run every build step with the config overrides applied.
+     * @returns {Promise<BuildResult>} Build result.
+     */
+    async function runBuild() {
+        /** @type {Record<string, number>} */
+        const timings = {};
+        const start = performance.now();
+        const basePath = await loadBasePath();
+        const imageConfig = await loadImageConversionConfig();
+        const imageManifest = await buildResponsiveImageManifest(imageConfig, basePath);
+        const plugins = await loadPlugins();
+        const hookContext = { outDir: BUILD_ROOT, basePath };
+
+        const compileResult = await timeStep(timings, 'compile', async () => {
+            await runBuildHook(plugins, 'beforeCompile', hookContext);
+            return compileAll(BUILD_HTML_ROOT, {
+                responsiveImages: true,
+                imageManifest,
+                imageConfig,
+                basePath,
+                cache,
+                workers,
+                plugins
+            });
+        });
+        await timeStep(timings, 'bundle', async () => {
+            await viteBuild({ configFile: false, ...await createViteConfig({ htmlRoot: BUILD_HTML_ROOT, plugins }) });
+            await runBuildHook(plugins, 'afterViteBuild', hookContext);
+        });
+        await timeStep(timings, 'assets', () => copySourceAssetsToBuild(join(BUILD_ROOT, 'assets'), { skipTopLevelDirs: ['images'] }));
+        const images = await timeStep(timings, 'images', () => {
+            // Variants asked for by `data-gz-*` attributes are only known from the compiled pages.
+            const extraVariants = compileResult.pages.flatMap((page) => (
+                findImageVariantsInHtml(readFileSync(join(BUILD_HTML_ROOT, page), 'utf8'), imageManifest, basePath)
+            ));
+            return writeResponsiveImages(imageManifest, join(BUILD_ROOT, BUILD_IMAGES_DIR), imageConfig, { cache, extraVariants });
+        });
+        await timeStep(timings, 'sitemap', () => writeSitemapFiles(BUILD_ROOT));
+        await timeStep(timings, 'minify', async () => {
+            await minifyAllHtml(BUILD_ROOT);
+            await minifyAllCss(BUILD_ROOT, plugins);
+        });
+        cleanupTempBuildHtml();
+        const emittedImages = images.files.map((image) => `${BUILD_IMAGES_DIR}/${image}`);
+        await runBuildHook(plugins, 'afterBuild', { ...hookContext, pages: compileResult.pages, images: emittedImages });
+        timings.total = Math.round(performance.now() - start);
+
+        return {
+            outDir: BUILD_ROOT,
+            pages: compileResult.pages,
+            cachedPages: compileResult.cachedPages,
+            images: emittedImages,
+            cachedImages: images.cachedFiles,
+            timings: /** @type {BuildTimings} */ (timings)
+        };
+    }
+}
+
+/**
+ * Compile the EJS and Markdown pages to HTML without bundling, like the dev server does on start.
+ * Waits for earlier `build()` and `compile()` calls to finish.
+ * @param {CompileApiOptions} [options] - Config overrides, output directory, HTML cache and worker threads.
+ * @returns {Promise<CompileApiResult>} Written pages and compile time.
+ */
+export async function compile(options = {}) {
+    const { config, cache = false, workers = 1 } = options;
+    const outDir = options.outDir ? pathResolve(CWD, options.outDir) : DEV_HTML_ROOT;
+    return withProjectConfigOverrides(config, () => runQueued(runCompile));
+
+    /**
+     * Compile the pages with the config overrides applied.
+     * @returns {Promise<CompileApiResult>} Compile result.
+     */
+    async function runCompile() {
+        /** @type {Record<string, number>} */
+        const timings = {};
+        const result = await timeStep(timings, 'compile', () => compileAll(outDir, { cache, workers }));
+        return { outDir, ...result, timings: { compile: timings.compile } };
+    }
+}
+
+/**
+ * Start the dev server with live reload and the icons watcher, like `gzero`.
+ * The server keeps running until `close()` is called; signals are left to the host process.
+ * @param {DevOptions} [options] - Config overrides and port.
+ * @returns {Promise<DevServer>} Running dev server.
+ */
+export async function dev(options = {}) {
+    const { config, port } = options;
+    return withProjectConfigOverrides(config, startDevServer);
+
+    /**
+     * Compile the pages, then start the icons watcher and the Vite dev server.
+     * @returns {Promise<DevServer>} Running dev server.
+     */
+    async function startDevServer() {
+        await compileAll(undefined, { devImages: true });
+        const viteConfig = await createViteConfig({ exitOnSignal: false });
+        const iconsWatcher = spawn(process.execPath, [WATCH_ICONS_SCRIPT], {
+            stdio: 'inherit',
+            cwd: CWD
+        });
+        iconsWatcher.on('error', (err) => {
+            console.error('[watch-icons] failed to start:', err.message);
+        });
+
+        /** @type {import('vite').ViteDevServer | null} */
+        let server = null;
+        try {
+            server = await createServer({
+                ...viteConfig,
+                configFile: false,
+                server: { ...viteConfig.server, port }
+            });
+            await server.listen();
+        } catch (err) {
+            iconsWatcher.kill();
+            await server?.close();
+            throw err;
+        }
+
+        server.printUrls();
+        const runningServer = server;
+        return {
+            server: runningServer,
+            url: runningServer.resolvedUrls?.local[0] ?? '',
+            close
+        };
+
+        /**
+         * Stop the icons watcher and the dev server.
+         * @returns {Promise<void>}
+         */
+        async function close() {
+            iconsWatcher.kill();
+            await runningServer.close();
+        }
+    }
+}
@@ -60,6 +60,34 @@ export function normalizeBasePath(value) {
     return segments.length ? `/${segments.join('/')}/` : '/';
 }
 
+/**
+ * Normalize and validate the configured site URL.
+ * @param {string} siteUrl - Raw site URL from config.
+ * @returns {string} Canonical site origin without a trailing slash.
+ */
+export function normalizeSiteUrl(siteUrl) {
+    let url;
+    try {
+        url = new URL(siteUrl);
+    } catch {
+        throw new Error(`Invalid "siteUrl" in ground-zero config: ${siteUrl}`);
+    }
+
+    if (!/^https?:$/.test(url.protocol)) {
+        throw new Error(`Invalid "siteUrl" protocol in ground-zero config: ${siteUrl}`);
+    }
+
+    if (url.search || url.hash) {
+        throw new Error('"siteUrl" in ground-zero config must not contain query or hash segments');
+    }
+
+    if (url.pathname !== '/' && url.pathname !== '') {
+        throw new Error('"siteUrl" in ground-zero config must not contain a path; use "basePath" for subdirectory deploys');
+    }
+
+    return url.origin;
+}
+
 /**
  * Prefix an internal URL path with the configured deploy base path.
  * @param {string} value - Internal URL or path fragment.
@@ -132,3 +160,13 @@ export async function loadBasePath() {
     const userConfig = await loadProjectConfig();
     return normalizeBasePath(userConfig.basePath);
 }
+
+/**
+ * Load and normalize the project site URL from config.
+ * @returns {Promise<string | undefined>} Canonical site origin, or `undefined` when `siteUrl` is not set.
+ */
+export async function loadSiteUrl() {
+    const userConfig = await loadProjectConfig();
+    const siteUrl = typeof userConfig.siteUrl === 'string' ? userConfig.siteUrl.trim() : '';
+    return siteUrl ? normalizeSiteUrl(siteUrl) : undefined;
+}
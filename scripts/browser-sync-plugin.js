@@ -6,9 +6,12 @@ const BROWSER_SYNC_NAME = 'ground-zero-browser-sync';
 
 /**
  * Start a BrowserSync proxy alongside the Vite dev server.
+ * @param {{ exitOnSignal?: boolean }} [options] - `exitOnSignal` stops BrowserSync and exits the
+ * process on SIGINT/SIGTERM; disable it when the dev server runs inside another program.
  * @returns {import('vite').Plugin} Vite plugin definition.
  */
-export function browserSyncPlugin() {
+export function browserSyncPlugin(options = {}) {
+    const { exitOnSignal = true } = options;
     /** @type {ReturnType<typeof browserSync.create> | null} */
     let browserSyncInstance = null;
     let hasStarted = false;
@@ -27,8 +30,10 @@ export function browserSyncPlugin() {
             }
 
             httpServer.once('close', handleServerClose);
-            process.once('SIGINT', handleProcessExit);
-            process.once('SIGTERM', handleProcessExit);
+            if (exitOnSignal) {
+                process.once('SIGINT', handleProcessExit);
+                process.once('SIGTERM', handleProcessExit);
+            }
 
             function handleServerListening() {
                 void startBrowserSync(server);
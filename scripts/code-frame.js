@@ -0,0 +1,26 @@
+/**
+ * Build a code frame around a source line, marking the line (and column) with `>` and `^`.
+ * @param {string} source - Full file source.
+ * @param {number} line - 1-based line number.
+ * @param {number} [column] - 1-based column number.
+ * @returns {string} Code frame text.
+ */
+export function createCodeFrame(source, line, column) {
+    const lines = source.split(/\r?\n/);
+    const start = Math.max(line - 3, 0);
+    const end = Math.min(lines.length, line + 2);
+    const gutterWidth = String(end).length;
+    /** @type {string[]} */
+    const frameLines = [];
+
+    for (let index = start; index < end; index++) {
+        const lineNumber = index + 1;
+        const marker = lineNumber === line ? '>' : ' ';
+        frameLines.push(`${marker} ${String(lineNumber).padStart(gutterWidth)} | ${lines[index]}`);
+        if (lineNumber === line && column) {
+            frameLines.push(`  ${' '.repeat(gutterWidth)} | ${' '.repeat(column - 1)}^`);
+        }
+    }
+
+    return frameLines.join('\n');
+}
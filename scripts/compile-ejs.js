@@ -1,15 +1,45 @@
 import { readdirSync, readFileSync, writeFileSync, mkdirSync, existsSync, statSync, rmSync } from 'node:fs';
-import { join, dirname, resolve as pathResolve, relative as pathRelative, extname } from 'node:path';
+import { join, dirname, resolve as pathResolve, relative as pathRelative, extname, sep } from 'node:path';
 import { pathToFileURL } from 'node:url';
 // @ts-ignore - ejs doesn't have type definitions
 import ejs from 'ejs';
 import { generateSvgSprite } from './svg-sprite.js';
-import { loadBasePath, withBase } from './base-path.js';
-import { transformHtmlImages } from './responsive-images.js';
-import { assertNoPageOutputCollisions, getPagePathInfo } from './page-paths.js';
+import { loadBasePath, loadSiteUrl, withBase } from './base-path.js';
+import { createImagePlaceholderHelper, loadResponsiveImageOptions, transformHtmlImages } from './responsive-images.js';
+import {
+    assertNoPageOutputCollisions,
+    getPagePathInfo,
+    getPaginatedPagePathInfo,
+    getRouteParamNames
+} from './page-paths.js';
+import { readTemplateMetaBlock } from './template-meta.js';
+import { CompileErrors, formatCompileError, toTemplateError } from './template-errors.js';
+import { isMarkdownFile, readMarkdownPage, renderMarkdown } from './markdown-pages.js';
+import { getLayoutPath, resolveLayoutPath } from './layouts.js';
+import { DATA_FILE_EXTENSIONS, loadDataFile } from './data-files.js';
+import { assertDataSchemaHasDataFile, isDataSchemaFile, validateDataValue } from './data-schemas.js';
+import { createTranslator, loadI18n, localizeOutputPath, localizePath } from './i18n.js';
+import {
+    APPLY_PROPS_HELPER,
+    PASSED_PROPS_KEY,
+    TRACK_INCLUDE_HELPER,
+    addComponentPropsCheck,
+    addIncludeTracking,
+    applyComponentProps,
+    isComponentFile,
+    trackIncludeProps
+} from './component-props.js';
+import { createComponentHelper, getComponentPath } from './components.js';
+import { createEntryHelper, toViteFsUrl } from './entries.js';
+import { loadPageContext } from './page-data.js';
+import { openHtmlCache } from './html-cache.js';
+import { canCompileInWorkers, compileInWorkers } from './compile-pool.js';
+import { getPagePlugins, loadPlugins, transformPageHtml } from './plugins.js';
+import { createBuiltInHelpers, loadTemplateHelpers } from './template-helpers.js';
 
 const CWD = process.cwd();
 const PAGES_DIR = join(CWD, 'src/pages');
+const CONTENT_DIR = join(CWD, 'src/content');
 const PARTIALS_DIR = join(CWD, 'src/partials');
 const DATA_DIR = join(CWD, 'src/data');
 const DEV_OUT_DIR = join(CWD, 'dev-html');
@@ -17,12 +47,101 @@ const ICONS_DIR = join(CWD, 'src/assets/icons');
 const SPRITE_PARTIAL = join(CWD, 'src/partials/svg-sprite.ejs');
 
 const MODULE_ENTRY_ABS = join(CWD, 'src/assets/js/main.js');
-const MODULE_ENTRY = `/@fs/${MODULE_ENTRY_ABS.replaceAll('\\', '/')}`;
+/** Dev URL of the client entry module, loaded by layouts with `<script type="module">`. */
+export const MODULE_ENTRY = toViteFsUrl(MODULE_ENTRY_ABS);
+const COLLECTION_BLOCK_TAG = '@ground-zero-collection';
+const PAGINATION_BLOCK_TAG = '@ground-zero-paginate';
+// Template variables set by ground-zero; template helpers cannot use these names.
+const RESERVED_TEMPLATE_NAMES = new Set([
+    'globalData', 'partials', 'basePath', 'withBase', 'moduleEntry', 'entry', 'imagePlaceholder', 'params', 'item',
+    'pagination', 'page', 'locale', 'locales', 'alternates', 't', 'withLocale', 'layout', 'block', 'content', 'frontMatter',
+    'component', 'slots', 'include', 'locals', APPLY_PROPS_HELPER, TRACK_INCLUDE_HELPER, PASSED_PROPS_KEY
+]);
 
 /**
  * @typedef {Record<string, unknown>} PlainObject
  */
 
+/**
+ * @typedef {Object} PageEntryPagination
+ * @property {unknown[]} items
+ * @property {number} pageNumber
+ * @property {number} totalPages
+ * @property {number} totalItems
+ * @property {number} size
+ * @property {string[]} routes
+ */
+
+/**
+ * @typedef {import('./page-paths.js').PagePathInfo & {
+ *   templatePath: string,
+ *   item: unknown,
+ *   pagination: PageEntryPagination | undefined,
+ *   locale: string | undefined,
+ *   alternates: Array<{ locale: string, route: string }>
+ * }} PageEntry
+ */
+
+/**
+ * Templates and top-level `globalData` keys a page read during its last render.
+ * @typedef {Object} PageDependencies
+ * @property {Set<string>} templates - Absolute paths of every layout, include and component rendered for the page.
+ * @property {Set<string>} dataKeys - Top-level `globalData` keys read by the page's templates.
+ */
+
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {Set<string>} pages - Absolute page paths.
+ * @property {Set<string>} partials - Absolute paths of every other template reachable from a page.
+ * @property {Map<string, Set<string>>} includes - Templates each file includes.
+ * @property {Map<string, Set<string>>} dependents - Files that include each template.
+ * @property {Map<string, Set<string>>} dataDependents - Pages that read each top-level `globalData` key.
+ * @property {Set<string>} untrackedPages - Pages not rendered by this process yet, whose data reads are unknown.
+ */
+
+/**
+ * @typedef {Object} CompileOptions
+ * @property {boolean} [responsiveImages] - Rewrite `<img>` tags to responsive images.
+ * @property {boolean} [devImages] - Without `responsiveImages`, rewrite `<img>` tags like the production build for the
+ * dev server, which generates the variants on request.
+ * @property {Map<string, import('./responsive-images.js').ResponsiveImageEntry>} [imageManifest] - Responsive image metadata.
+ * @property {import('./responsive-images.js').ResponsiveImageConfig} [imageConfig] - Image conversion settings.
+ * @property {string} [basePath] - Normalized deploy base path.
+ * @property {string} [siteUrl] - Canonical site origin for absolute `alternates` URLs.
+ */
+
+/**
+ * Everything page rendering needs besides the page entry itself.
+ * @typedef {Object} CompileInputs
+ * @property {Record<string, string>} partials - Partial map from `readPartials()`.
+ * @property {PlainObject} globalData - Nested global template data.
+ * @property {import('./i18n.js').I18nSetup | null} i18n - Locales and translations, or `null` for single-language sites.
+ * @property {CompileOptions} options - Build-time image transform settings and base path.
+ * @property {import('./template-helpers.js').TemplateHelpers} helpers - Helpers from config, `src/helpers` and plugins.
+ * @property {import('./plugins.js').PagePlugin[]} plugins - Plugins that transform page HTML.
+ */
+
+/**
+ * @typedef {Object} CompileSettings
+ * @property {boolean} [cache] - Reuse unchanged pages from `tmp/html-cache` and update the cache.
+ * @property {number} [workers] - Number of worker threads; `1` compiles in the current thread.
+ * @property {import('./plugins.js').GroundZeroPlugin[]} [plugins] - Plugins loaded by the caller, so `transformHtml` runs
+ * on the same plugin objects as the build hooks; loaded from config when omitted. Worker threads load their own.
+ */
+
+/**
+ * @typedef {Object} CompileResult
+ * @property {string[]} pages - Output paths of the written pages, relative to the output directory.
+ * @property {number} cachedPages - Number of pages copied from `tmp/html-cache` instead of rendered.
+ */
+
+/**
+ * Dependencies recorded while rendering, by page template path.
+ * Filled by every compile in this process; the dev server uses them for incremental rebuilds.
+ * @type {Map<string, PageDependencies>}
+ */
+const pageDependencies = new Map();
+
 /**
  * Create a plain key-value object without a prototype.
  * @returns {PlainObject} Empty object for template data storage.
@@ -80,23 +199,37 @@ function stripEjsComments(str) {
 
 /**
  * Read an EJS file and strip supported EJS comment blocks.
+ * Components with a `@ground-zero-props` block get their props check prepended.
  * @param {string} filePath - Absolute path to the file.
  * @returns {string} File contents without EJS comments.
  */
 function readEjsFile(filePath) {
     const content = readFileSync(filePath, 'utf8');
-    return stripEjsComments(content);
+    const templateSource = stripEjsComments(content);
+    return isComponentFile(filePath) ? addComponentPropsCheck(filePath, content, templateSource) : templateSource;
+}
+
+/**
+ * Read an EJS file for rendering: like `readEjsFile()`, plus the `include()` wrapper that passes
+ * include data to the props check. Only templates rendered by ground-zero get the wrapper, since
+ * it needs a helper from the render context.
+ * @param {string} filePath - Absolute path to the file.
+ * @returns {string} Template source to compile.
+ */
+function loadEjsTemplate(filePath) {
+    return addIncludeTracking(readEjsFile(filePath));
 }
 
-ejs.fileLoader = readEjsFile;
+ejs.fileLoader = loadEjsTemplate;
 
 /**
  * Recursively walk a directory and collect files with the given extension.
  * @param {string} dir - Directory to scan.
- * @param {string} extension - File extension to collect.
+ * @param {string | string[]} extension - File extension, or list of extensions, to collect.
  * @returns {string[]} Absolute file paths.
  */
 function walkDirByExtension(dir, extension) {
+    const extensions = Array.isArray(extension) ? extension : [extension];
     /** @type {string[]} */
     const filePaths = [];
     if (!existsSync(dir)) return filePaths;
@@ -104,14 +237,35 @@ function walkDirByExtension(dir, extension) {
         const entryPath = join(dir, entry);
         const entryStats = statSync(entryPath);
         if (entryStats.isDirectory()) {
-            filePaths.push(...walkDirByExtension(entryPath, extension));
-        } else if (entryPath.endsWith(extension)) {
+            filePaths.push(...walkDirByExtension(entryPath, extensions));
+        } else if (extensions.some((fileExtension) => entryPath.endsWith(fileExtension))) {
             filePaths.push(entryPath);
         }
     }
     return filePaths;
 }
 
+/**
+ * List every page source: EJS and Markdown pages in `src/pages` plus Markdown files in `src/content`.
+ * @returns {string[]} Absolute page file paths.
+ */
+function listPageFiles() {
+    return [
+        ...walkDirByExtension(PAGES_DIR, '.ejs'),
+        ...walkDirByExtension(PAGES_DIR, '.md'),
+        ...walkDirByExtension(CONTENT_DIR, '.md')
+    ];
+}
+
+/**
+ * Return the route root for a page file.
+ * @param {string} pageFile - Absolute page file path.
+ * @returns {string} `src/content` for content files, otherwise `src/pages`.
+ */
+function getPageRootDir(pageFile) {
+    return pageFile.startsWith(`${CONTENT_DIR}${sep}`) ? CONTENT_DIR : PAGES_DIR;
+}
+
 /**
  * Read all partials under `src/partials`.
  * @returns {Record<string, string>} Partial name to file content map.
@@ -137,26 +291,10 @@ function isPlainObject(value) {
 }
 
 /**
- * Read and parse a JSON file from `src/data`.
- * @param {string} filePath - Absolute JSON file path.
- * @returns {unknown} Parsed JSON value.
- */
-function readJsonFile(filePath) {
-    const rawContent = readFileSync(filePath, 'utf8');
-
-    try {
-        return JSON.parse(rawContent);
-    } catch (error) {
-        const errorMessage = error instanceof Error ? error.message : String(error);
-        throw new Error(`Invalid JSON in ${filePath}: ${errorMessage}`);
-    }
-}
-
-/**
- * Store a JSON value at a nested object path.
+ * Store a data file value at a nested object path.
  * @param {PlainObject} rootObject - Destination object.
  * @param {string[]} pathSegments - Nested key path.
- * @param {unknown} value - Parsed JSON value.
+ * @param {unknown} value - Parsed data file value or resolved data module export.
  * @param {string} sourcePath - Source file path for error reporting.
  * @returns {void}
  */
@@ -180,33 +318,292 @@ function assignDataValue(rootObject, pathSegments, value, sourcePath) {
     const finalSegment = pathSegments[pathSegments.length - 1];
     if (hasOwnKey(currentLevel, finalSegment)) {
         const collisionPath = pathSegments.join('.');
-        throw new Error(`Global data path collision in ${sourcePath}: "${collisionPath}" is already defined by another JSON file.`);
+        throw new Error(`Global data path collision in ${sourcePath}: "${collisionPath}" is already defined by another data file.`);
     }
 
     currentLevel[finalSegment] = value;
 }
 
 /**
- * Read all JSON files under `src/data` and expose them as a nested object tree.
+ * Read all data files under `src/data` and expose them as a nested object tree.
  * Example: `src/data/company/contact.json` becomes `globalData.company.contact`.
- * @returns {PlainObject} Nested global template data.
+ * JSON, YAML and TOML files are parsed as-is and CSV files become an array of row objects.
+ * A `.js` / `.mjs` module contributes its default export, or the resolved return value when the
+ * default export is a (sync or async) function.
+ * Files with a sibling `*.schema.json` are validated against that JSON Schema before they are used.
+ * @returns {Promise<PlainObject>} Nested global template data.
  */
-function readGlobalData() {
+async function readGlobalData() {
     const globalData = createPlainObject();
 
     if (!existsSync(DATA_DIR)) return globalData;
 
-    const jsonFiles = walkDirByExtension(DATA_DIR, '.json');
-    for (const filePath of jsonFiles) {
+    const dataFiles = walkDirByExtension(DATA_DIR, DATA_FILE_EXTENSIONS);
+    for (const filePath of dataFiles) {
+        if (isDataSchemaFile(filePath)) {
+            assertDataSchemaHasDataFile(filePath);
+            continue;
+        }
+
         const relativePath = pathRelative(DATA_DIR, filePath).replaceAll('\\', '/');
-        const pathSegments = relativePath.replace(/\.json$/i, '').split('/');
-        const jsonValue = readJsonFile(filePath);
-        assignDataValue(globalData, pathSegments, jsonValue, filePath);
+        const extension = extname(relativePath);
+        const pathSegments = relativePath.slice(0, -extension.length).split('/');
+        const dataValue = await loadDataFile(filePath);
+        validateDataValue(filePath, extension, dataValue);
+        assignDataValue(globalData, pathSegments, dataValue, filePath);
     }
 
     return globalData;
 }
 
+/**
+ * Read the `@ground-zero-collection` block of a dynamic page template.
+ * @param {string} pageFile - Absolute page file path.
+ * @returns {{ data: string } | null} Collection settings, or `null` when the block is absent.
+ */
+function readPageCollectionMeta(pageFile) {
+    const displayPath = pathRelative(CWD, pageFile).replaceAll('\\', '/');
+    const meta = readTemplateMetaBlock(readFileSync(pageFile, 'utf8'), COLLECTION_BLOCK_TAG, displayPath);
+    if (!meta) return null;
+
+    for (const key of Object.keys(meta)) {
+        if (key !== 'data') {
+            throw new Error(`Unsupported ${COLLECTION_BLOCK_TAG} key "${key}" in ${displayPath}`);
+        }
+    }
+
+    if (typeof meta.data !== 'string' || !meta.data.trim()) {
+        throw new Error(`Expected "data" in ${COLLECTION_BLOCK_TAG} to be a globalData path like "posts" in ${displayPath}`);
+    }
+
+    return { data: meta.data.trim() };
+}
+
+/**
+ * Read the `@ground-zero-paginate` block of a list page template.
+ * @param {string} pageFile - Absolute page file path.
+ * @returns {{ data: string, size: number } | null} Pagination settings, or `null` when the block is absent.
+ */
+function readPagePaginationMeta(pageFile) {
+    const displayPath = pathRelative(CWD, pageFile).replaceAll('\\', '/');
+    const meta = readTemplateMetaBlock(readFileSync(pageFile, 'utf8'), PAGINATION_BLOCK_TAG, displayPath);
+    if (!meta) return null;
+
+    for (const key of Object.keys(meta)) {
+        if (key !== 'data' && key !== 'size') {
+            throw new Error(`Unsupported ${PAGINATION_BLOCK_TAG} key "${key}" in ${displayPath}`);
+        }
+    }
+
+    if (typeof meta.data !== 'string' || !meta.data.trim()) {
+        throw new Error(`Expected "data" in ${PAGINATION_BLOCK_TAG} to be a globalData path like "posts" in ${displayPath}`);
+    }
+    if (typeof meta.size !== 'number' || !Number.isInteger(meta.size) || meta.size < 1) {
+        throw new Error(`Expected "size" in ${PAGINATION_BLOCK_TAG} to be a positive integer in ${displayPath}`);
+    }
+
+    return { data: meta.data.trim(), size: meta.size };
+}
+
+/**
+ * Look up a dotted `globalData` path such as `blog.posts`.
+ * @param {PlainObject} globalData - Nested global template data.
+ * @param {string} dataPath - Dotted path below `globalData`.
+ * @returns {unknown} Value at that path, or `undefined` when any segment is missing.
+ */
+function getGlobalDataValue(globalData, dataPath) {
+    /** @type {unknown} */
+    let currentValue = globalData;
+
+    for (const segment of dataPath.split('.')) {
+        if (!isPlainObject(currentValue) || !hasOwnKey(currentValue, segment)) return undefined;
+        currentValue = currentValue[segment];
+    }
+
+    return currentValue;
+}
+
+/**
+ * Expand a `[param]` page template into one page entry per collection item.
+ * Object collections (e.g. one JSON file per post) may use the item key as the single route parameter.
+ * @param {string} pageFile - Absolute page file path.
+ * @param {string[]} paramNames - Route parameter names from the template path.
+ * @param {PlainObject} globalData - Nested global template data.
+ * @returns {PageEntry[]} Generated page entries.
+ */
+function expandDynamicPage(pageFile, paramNames, globalData) {
+    const displayPath = pathRelative(CWD, pageFile).replaceAll('\\', '/');
+    const collectionMeta = readPageCollectionMeta(pageFile);
+    if (!collectionMeta) {
+        throw new Error(`Dynamic page ${displayPath} needs a ${COLLECTION_BLOCK_TAG} block naming its globalData collection.`);
+    }
+
+    const collection = getGlobalDataValue(globalData, collectionMeta.data);
+    const collectionLabel = `globalData.${collectionMeta.data}`;
+    /** @type {Array<[string, unknown]>} */
+    let items;
+    if (Array.isArray(collection)) {
+        items = collection.map((item, index) => [String(index), item]);
+    } else if (isPlainObject(collection)) {
+        items = Object.entries(collection);
+    } else {
+        throw new Error(`Expected ${collectionLabel} used by ${displayPath} to be an array or an object.`);
+    }
+
+    return items.map(([key, item]) => {
+        /** @type {Record<string, string>} */
+        const params = {};
+
+        for (const name of paramNames) {
+            const value = isPlainObject(item) ? item[name] : undefined;
+            if (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) {
+                params[name] = String(value);
+            } else if (!Array.isArray(collection) && paramNames.length === 1) {
+                params[name] = key;
+            } else {
+                throw new Error(`Missing "${name}" in item "${key}" of ${collectionLabel} used by ${displayPath}.`);
+            }
+        }
+
+        return {
+            ...getPagePathInfo(PAGES_DIR, pageFile, params),
+            templatePath: pageFile,
+            item,
+            pagination: undefined,
+            locale: undefined,
+            alternates: []
+        };
+    });
+}
+
+/**
+ * Split a collection into list pages of a fixed size.
+ * The first page keeps the template route; follow-up pages are emitted under `page/N/`.
+ * @param {string} pageFile - Absolute page file path.
+ * @param {string} pageRootDir - Route root of the page.
+ * @param {{ data: string, size: number }} paginationMeta - Pagination settings of the template.
+ * @param {PlainObject} globalData - Nested global template data.
+ * @returns {PageEntry[]} One entry per list page.
+ */
+function expandPaginatedPage(pageFile, pageRootDir, paginationMeta, globalData) {
+    const displayPath = pathRelative(CWD, pageFile).replaceAll('\\', '/');
+    const collection = getGlobalDataValue(globalData, paginationMeta.data);
+    /** @type {unknown[]} */
+    let items;
+    if (Array.isArray(collection)) {
+        items = collection;
+    } else if (isPlainObject(collection)) {
+        items = Object.values(collection);
+    } else {
+        throw new Error(`Expected globalData.${paginationMeta.data} used by ${displayPath} to be an array or an object.`);
+    }
+
+    const pageInfo = getPagePathInfo(pageRootDir, pageFile);
+    const totalPages = Math.max(1, Math.ceil(items.length / paginationMeta.size));
+    const pageInfos = Array.from({ length: totalPages }, (_, index) => getPaginatedPagePathInfo(pageInfo, index + 1));
+    const routes = pageInfos.map((info) => info.route);
+
+    return pageInfos.map((info, index) => ({
+        ...info,
+        templatePath: pageFile,
+        item: undefined,
+        pagination: {
+            items: items.slice(index * paginationMeta.size, (index + 1) * paginationMeta.size),
+            pageNumber: index + 1,
+            totalPages,
+            totalItems: items.length,
+            size: paginationMeta.size,
+            routes
+        },
+        locale: undefined,
+        alternates: []
+    }));
+}
+
+/**
+ * Render a page entry once per configured locale under its locale prefix.
+ * @param {PageEntry} pageEntry - Page entry without locale.
+ * @param {import('./i18n.js').I18nConfig} i18n - Normalized i18n config.
+ * @returns {PageEntry[]} One entry per locale.
+ */
+function localizePageEntry(pageEntry, i18n) {
+    const alternates = i18n.locales.map((locale) => ({ locale, route: localizePath(pageEntry.route, locale, i18n) }));
+
+    return i18n.locales.map((locale, index) => ({
+        ...pageEntry,
+        route: alternates[index].route,
+        outputRelativePath: localizeOutputPath(pageEntry.outputRelativePath, locale, i18n),
+        pagination: pageEntry.pagination && {
+            ...pageEntry.pagination,
+            routes: pageEntry.pagination.routes.map((route) => localizePath(route, locale, i18n))
+        },
+        locale,
+        alternates
+    }));
+}
+
+/**
+ * Resolve page templates into concrete page entries, expanding dynamic routes, paginated lists
+ * and, when `i18n` is configured, one copy per locale.
+ * @param {string[]} pageFiles - Absolute page file paths.
+ * @param {PlainObject} globalData - Nested global template data.
+ * @param {import('./i18n.js').I18nConfig | null} i18n - Normalized i18n config, or `null` for single-language sites.
+ * @returns {PageEntry[]} One entry per output HTML file.
+ */
+function resolvePageEntries(pageFiles, globalData, i18n) {
+    /** @type {PageEntry[]} */
+    const entries = [];
+
+    for (const pageFile of pageFiles) {
+        const pageRootDir = getPageRootDir(pageFile);
+        const paramNames = getRouteParamNames(pathRelative(pageRootDir, pageFile));
+        if (paramNames.length && isMarkdownFile(pageFile)) {
+            const displayPath = pathRelative(CWD, pageFile).replaceAll('\\', '/');
+            throw new Error(`Dynamic route segments are only supported in .ejs pages; rename ${displayPath}.`);
+        }
+        const paginationMeta = isMarkdownFile(pageFile) ? null : readPagePaginationMeta(pageFile);
+        if (paramNames.length && paginationMeta) {
+            const displayPath = pathRelative(CWD, pageFile).replaceAll('\\', '/');
+            throw new Error(`${PAGINATION_BLOCK_TAG} cannot be combined with dynamic route segments in ${displayPath}.`);
+        }
+        if (paramNames.length) {
+            entries.push(...expandDynamicPage(pageFile, paramNames, globalData));
+            continue;
+        }
+
+        if (!isMarkdownFile(pageFile) && readPageCollectionMeta(pageFile)) {
+            const displayPath = pathRelative(CWD, pageFile).replaceAll('\\', '/');
+            throw new Error(`${COLLECTION_BLOCK_TAG} in ${displayPath} requires a dynamic file name such as "[slug].ejs".`);
+        }
+
+        if (paginationMeta) {
+            entries.push(...expandPaginatedPage(pageFile, pageRootDir, paginationMeta, globalData));
+            continue;
+        }
+
+        entries.push({
+            ...getPagePathInfo(pageRootDir, pageFile),
+            templatePath: pageFile,
+            item: undefined,
+            pagination: undefined,
+            locale: undefined,
+            alternates: []
+        });
+    }
+
+    const localizedEntries = i18n ? entries.flatMap((pageEntry) => localizePageEntry(pageEntry, i18n)) : entries;
+    assertNoPageOutputCollisions(localizedEntries);
+    return localizedEntries;
+}
+
+/**
+ * Collect every page that a full build emits, including generated dynamic routes, list pages and locales.
+ * @returns {Promise<PageEntry[]>} Page entries in template walk order.
+ */
+export async function collectPageEntries() {
+    return resolvePageEntries(listPageFiles(), await readGlobalData(), await loadI18n());
+}
+
 /**
  * Resolve an include path relative to the file that includes it.
  * @param {string} fromFile - File containing the include.
@@ -223,13 +620,21 @@ function resolveInclude(fromFile, includePath) {
 }
 
 /**
- * Scan an EJS file and collect its include dependencies.
- * @param {string} filePath - Absolute path to the EJS file.
+ * Scan an EJS file and collect its include, `layout()` and `component()` dependencies.
+ * Markdown pages depend on the layout named in their front matter.
+ * @param {string} filePath - Absolute path to the EJS or Markdown file.
  * @returns {Set<string>} Absolute paths of included partials.
  */
 function scanIncludes(filePath) {
+    if (isMarkdownFile(filePath)) {
+        return new Set([readMarkdownPage(filePath).layoutPath]);
+    }
+
     const src = readEjsFile(filePath);
-    const rx = /include\(\s*['"]([^'"]+)['"]/g;
+    // Only complete string literals; computed paths are recorded while rendering instead.
+    const rx = /include\(\s*['"]([^'"]+)['"]\s*[,)]/g;
+    const layoutRx = /\blayout\(\s*['"]([^'"]+)['"]\s*[,)]/g;
+    const componentRx = /\bcomponent(?:\.start)?\(\s*['"]([^'"]+)['"]\s*[,)]/g;
     /** @type {Set<string>} */
     const targets = new Set();
     let m;
@@ -238,44 +643,106 @@ function scanIncludes(filePath) {
         const resolved = resolveInclude(filePath, inc);
         if (existsSync(resolved)) targets.add(resolved);
     }
+    while ((m = layoutRx.exec(src))) {
+        const layoutPath = getLayoutPath(m[1]);
+        if (layoutPath && existsSync(layoutPath)) targets.add(layoutPath);
+    }
+    while ((m = componentRx.exec(src))) {
+        const componentPath = getComponentPath(m[1]);
+        if (componentPath && existsSync(componentPath)) targets.add(componentPath);
+    }
     return targets;
 }
 
 /**
- * Build the include dependency graph for pages and every reachable include file.
- * @returns {Promise<{
- *   pages: Set<string>,
- *   partials: Set<string>,
- *   includes: Map<string, Set<string>>,
- *   dependents: Map<string, Set<string>>
- * }>} Graph data used for incremental rebuilds.
+ * Return the top-level `globalData` key a data or schema file contributes to.
+ * @param {string} dataFile - Absolute path of a file under `src/data`.
+ * @returns {string} Top-level key, e.g. `about` for `src/data/about/page.json`.
+ */
+function getTopLevelDataKey(dataFile) {
+    const [firstSegment, ...rest] = pathRelative(DATA_DIR, dataFile).replaceAll('\\', '/').split('/');
+    if (rest.length) return firstSegment;
+    return isDataSchemaFile(firstSegment)
+        ? firstSegment.slice(0, -'.schema.json'.length)
+        : firstSegment.slice(0, -extname(firstSegment).length);
+}
+
+/**
+ * Read the globalData path a dynamic or paginated page is generated from.
+ * @param {string} pageFile - Absolute page file path.
+ * @returns {string} Top-level `globalData` key, or an empty string for other pages.
+ */
+function getPageSourceDataKey(pageFile) {
+    if (isMarkdownFile(pageFile)) return '';
+    const dataPath = readPagePaginationMeta(pageFile)?.data ?? readPageCollectionMeta(pageFile)?.data;
+    return dataPath ? dataPath.split('.')[0] : '';
+}
+
+/**
+ * Add a dependency edge between a file and a template it renders.
+ * @param {DependencyGraph} graph - Graph to update.
+ * @param {string} file - Including file.
+ * @param {string} target - Included template.
+ * @returns {void}
+ */
+function addDependency(graph, file, target) {
+    if (!graph.includes.has(file)) graph.includes.set(file, new Set());
+    if (!graph.dependents.has(target)) graph.dependents.set(target, new Set());
+    graph.includes.get(file)?.add(target);
+    graph.dependents.get(target)?.add(file);
+}
+
+/**
+ * Build the dependency graph for pages and every reachable include file.
+ * Literal `include()`, `layout()` and `component()` calls are found by scanning the templates.
+ * Pages rendered by this process also contribute the templates they actually rendered, which
+ * covers includes with computed paths, and the top-level `globalData` keys they read.
+ * @returns {Promise<DependencyGraph>} Graph data used for incremental rebuilds.
  */
 export async function buildDependencyGraph() {
-    const pages = new Set(walkDirByExtension(PAGES_DIR, '.ejs'));
-    /** @type {Set<string>} */
-    const partials = new Set();
+    const pages = new Set(listPageFiles());
+    /** @type {DependencyGraph} */
+    const graph = {
+        pages,
+        partials: new Set(),
+        includes: new Map(),
+        dependents: new Map(),
+        dataDependents: new Map(),
+        untrackedPages: new Set()
+    };
     /** @type {Set<string>} */
     const discovered = new Set(pages);
     const pending = [...pages];
 
-    /** @type {Map<string, Set<string>>} */
-    const includes = new Map();
-    /** @type {Map<string, Set<string>>} */
-    const dependents = new Map();
+    for (const page of pages) {
+        const sourceDataKey = getPageSourceDataKey(page);
+        const recorded = pageDependencies.get(page);
+        if (!recorded) graph.untrackedPages.add(page);
+
+        const dataKeys = new Set(recorded?.dataKeys);
+        if (sourceDataKey) dataKeys.add(sourceDataKey);
+        for (const dataKey of dataKeys) {
+            if (!graph.dataDependents.has(dataKey)) graph.dataDependents.set(dataKey, new Set());
+            graph.dataDependents.get(dataKey)?.add(page);
+        }
+
+        for (const template of recorded?.templates ?? []) {
+            if (template === page || !existsSync(template)) continue;
+            addDependency(graph, page, template);
+            if (!discovered.has(template)) {
+                discovered.add(template);
+                pending.push(template);
+            }
+        }
+    }
 
     while (pending.length) {
         const file = pending.pop();
         if (!file) continue;
-        if (!pages.has(file)) partials.add(file);
-
-        const incs = scanIncludes(file);
-        includes.set(file, incs);
-
-        for (const target of incs) {
-            if (!dependents.has(target)) dependents.set(target, new Set());
-            const deps = dependents.get(target);
-            if (deps) deps.add(file);
+        if (!pages.has(file)) graph.partials.add(file);
 
+        for (const target of scanIncludes(file)) {
+            addDependency(graph, file, target);
             if (!discovered.has(target)) {
                 discovered.add(target);
                 pending.push(target);
@@ -283,18 +750,13 @@ export async function buildDependencyGraph() {
         }
     }
 
-    return { pages, partials, includes, dependents };
+    return graph;
 }
 
 /**
  * Find all pages impacted by a set of changed files.
  * @param {string[]} changedPaths - Changed file paths, relative or absolute.
- * @param {{
- *   pages: Set<string>,
- *   partials: Set<string>,
- *   includes: Map<string, Set<string>>,
- *   dependents: Map<string, Set<string>>
- * }} graph - Dependency graph returned by `buildDependencyGraph()`.
+ * @param {DependencyGraph} graph - Dependency graph returned by `buildDependencyGraph()`.
  * @returns {Set<string>} Absolute page paths that should be rebuilt.
  */
 export function getImpactedPages(changedPaths, graph) {
@@ -329,6 +791,63 @@ export function getImpactedPages(changedPaths, graph) {
     return result;
 }
 
+/**
+ * Find the pages that read the `globalData` keys of changed data files.
+ * Pages whose reads are unknown because this process has not rendered them yet are always included.
+ * @param {string[]} changedDataFiles - Absolute paths of changed files under `src/data`.
+ * @param {DependencyGraph} graph - Dependency graph returned by `buildDependencyGraph()`.
+ * @returns {Set<string>} Absolute page paths that should be rebuilt.
+ */
+export function getPagesReadingData(changedDataFiles, graph) {
+    const result = new Set(graph.untrackedPages);
+
+    for (const dataFile of changedDataFiles) {
+        for (const page of graph.dataDependents.get(getTopLevelDataKey(dataFile)) ?? []) {
+            result.add(page);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Write the dependencies recorded by this process to a JSON file, so the dev server process that
+ * `gzero` starts after its first compile knows which pages read which templates and data.
+ * @param {string} filePath - Absolute JSON file path.
+ * @returns {void}
+ */
+export function savePageDependencies(filePath) {
+    /** @type {Record<string, { templates: string[], dataKeys: string[] }>} */
+    const entries = {};
+    for (const [templatePath, dependencies] of pageDependencies) {
+        entries[templatePath] = { templates: Array.from(dependencies.templates), dataKeys: Array.from(dependencies.dataKeys) };
+    }
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, JSON.stringify(entries));
+}
+
+/**
+ * Load dependencies written by `savePageDependencies()` and delete the file, since the dependencies
+ * it holds go stale once this process rebuilds pages. A missing or unreadable file loads nothing,
+ * which leaves the pages untracked.
+ * @param {string} filePath - Absolute JSON file path.
+ * @returns {void}
+ */
+export function loadPageDependencies(filePath) {
+    try {
+        const entries = /** @type {Record<string, { templates: string[], dataKeys: string[] }>} */ (
+            JSON.parse(readFileSync(filePath, 'utf8'))
+        );
+        for (const [templatePath, dependencies] of Object.entries(entries)) {
+            pageDependencies.set(templatePath, { templates: new Set(dependencies.templates), dataKeys: new Set(dependencies.dataKeys) });
+        }
+    } catch {
+        // Untracked pages fall back to full rebuilds on the first data change.
+    } finally {
+        rmSync(filePath, { force: true });
+    }
+}
+
 /**
  * Resolve the output directory for compiled HTML.
  * @param {string | undefined} outDir - Optional explicit output directory.
@@ -358,31 +877,463 @@ function resetOutDir(outDir) {
 }
 
 /**
- * Compile a single EJS page using the current partial set.
- * @param {string} pageFileAbs - Absolute page path.
+ * Render an EJS template with its own `component()` helper.
+ * Components see the page context plus their props and `slots`, not the caller's local variables.
+ * @param {string} templateFile - Absolute template path.
+ * @param {PlainObject} data - Template data.
+ * @param {PageDependencies} [dependencies] - Records the template and everything it includes.
+ * @returns {string} Rendered HTML with slot components resolved.
+ */
+function renderEjsTemplate(templateFile, data, dependencies) {
+    const displayPath = pathRelative(CWD, templateFile).replaceAll('\\', '/');
+    const components = createComponentHelper(renderComponent, displayPath);
+    dependencies?.templates.add(templateFile);
+    const html = ejs.render(
+        loadEjsTemplate(templateFile),
+        { ...data, component: components.component },
+        { root: PAGES_DIR, filename: templateFile, includer: recordInclude }
+    );
+    return components.resolveSlots(html);
+
+    /**
+     * Record an `include()` resolved by EJS, including computed include paths.
+     * @param {string} includePath - Path as written in the template.
+     * @param {string} resolvedPath - Absolute path EJS resolved it to.
+     * @returns {undefined} Nothing, so EJS loads the file as usual.
+     */
+    function recordInclude(includePath, resolvedPath) {
+        dependencies?.templates.add(resolvedPath);
+        return undefined;
+    }
+
+    /**
+     * Render a component called from this template.
+     * @param {string} componentPath - Absolute component path.
+     * @param {PlainObject} props - Component props.
+     * @param {Record<string, string>} slots - Slot content by name.
+     * @returns {string} Rendered component HTML.
+     */
+    function renderComponent(componentPath, props, slots) {
+        return renderEjsTemplate(componentPath, { ...data, ...props, slots, [PASSED_PROPS_KEY]: props }, dependencies);
+    }
+}
+
+/**
+ * Render a page or layout template, turning EJS failures into a `TemplateError`.
+ * @param {string} templateFile - Absolute template path.
+ * @param {string} pageFile - Absolute path of the page being compiled.
+ * @param {PlainObject} data - Template data.
+ * @param {PageDependencies} [dependencies] - Records every template rendered for the page.
+ * @returns {string} Rendered HTML.
+ */
+function renderTemplate(templateFile, pageFile, data, dependencies) {
+    try {
+        return renderEjsTemplate(templateFile, data, dependencies);
+    } catch (error) {
+        throw toTemplateError(error, { pageFile, templateFile });
+    }
+}
+
+/**
+ * Load the template helpers and the plugins that transform page HTML.
+ * Compile workers call this too, since functions cannot be sent to them.
+ * @param {import('./plugins.js').GroundZeroPlugin[]} [plugins] - Plugins already loaded by the caller.
+ * @returns {Promise<Pick<CompileInputs, 'helpers' | 'plugins'>>} Helpers and page plugins.
+ */
+export async function loadTemplateExtensions(plugins) {
+    const projectPlugins = plugins ?? await loadPlugins();
+    return {
+        helpers: await loadTemplateHelpers(projectPlugins, RESERVED_TEMPLATE_NAMES),
+        plugins: getPagePlugins(projectPlugins)
+    };
+}
+
+/**
+ * Create a renderer for components outside any page, as used by the dev component gallery.
+ * Components get the same globals as page templates (data, partials, `withBase()` and translations
+ * in the default locale) plus their props and `slots`.
+ * @param {string} route - Route the components are shown on, exposed as `page.route`.
+ * @param {string} basePath - Normalized deploy base path.
+ * @returns {Promise<(componentPath: string, props: PlainObject, slots: Record<string, string>) => string>} Component renderer.
+ */
+export async function createComponentRenderer(route, basePath) {
+    const partials = readPartials();
+    const globalData = await readGlobalData();
+    const i18n = await loadI18n();
+    const { helpers } = await loadTemplateExtensions();
+    const locale = i18n?.defaultLocale;
+    /** @type {PlainObject} */
+    const context = {
+        ...createBuiltInHelpers(locale),
+        ...helpers,
+        globalData,
+        partials,
+        basePath,
+        withBase: renderWithBase,
+        moduleEntry: MODULE_ENTRY,
+        entry: createEntryHelper('the component gallery'),
+        imagePlaceholder: createImagePlaceholderHelper(
+            { ...await loadResponsiveImageOptions(basePath), basePath },
+            'the component gallery'
+        ),
+        params: {},
+        item: undefined,
+        pagination: undefined,
+        page: { route, outputPath: '', templatePath: '', params: {} },
+        locale,
+        locales: i18n?.locales ?? [],
+        alternates: [],
+        t: i18n && locale ? createTranslator(i18n, locale) : translateWithoutI18n,
+        withLocale: renderWithLocale,
+        [APPLY_PROPS_HELPER]: applyComponentProps,
+        [TRACK_INCLUDE_HELPER]: trackIncludeProps
+    };
+
+    return renderComponent;
+
+    /**
+     * Render one component with the given props and slot content.
+     * @param {string} componentPath - Absolute component path.
+     * @param {PlainObject} props - Component props.
+     * @param {Record<string, string>} slots - Slot content by name.
+     * @returns {string} Rendered component HTML.
+     */
+    function renderComponent(componentPath, props, slots) {
+        return renderTemplate(componentPath, componentPath, { ...context, ...props, slots, [PASSED_PROPS_KEY]: props });
+    }
+
+    /**
+     * Bind deploy base handling for direct EJS template usage.
+     * @param {string} url - Internal URL or asset path.
+     * @returns {string} Base-aware public URL.
+     */
+    function renderWithBase(url) {
+        return withBase(url, basePath);
+    }
+
+    /**
+     * Link to an internal page in the default (or another) locale.
+     * @param {string} url - Internal page path without locale, e.g. `/about/`.
+     * @param {string} [targetLocale] - Target locale, defaults to the default locale.
+     * @returns {string} Base-aware, locale-prefixed URL.
+     */
+    function renderWithLocale(url, targetLocale = locale) {
+        if (!i18n || !targetLocale) return withBase(url, basePath);
+        if (!i18n.locales.includes(targetLocale)) {
+            throw new Error(`Unknown locale "${targetLocale}" passed to withLocale()`);
+        }
+        return withBase(localizePath(url, targetLocale, i18n), basePath);
+    }
+
+    /**
+     * Fail clearly when a component calls `t()` on a site without `i18n` config.
+     * @param {string} key - Translation key.
+     * @returns {string} Never returns.
+     */
+    function translateWithoutI18n(key) {
+        throw new Error(`t("${key}") requires "i18n" in ground-zero config`);
+    }
+}
+
+/**
+ * Create a function that compiles single page entries with preloaded inputs.
+ * Used for in-thread compiles and by the compile workers.
+ * @param {CompileInputs} inputs - Data shared by all pages.
+ * @returns {(pageEntry: PageEntry, outDir: string) => Promise<PageDependencies>} Page compiler.
+ */
+export function createPageEntryCompiler(inputs) {
+    return compilePageEntry;
+
+    /**
+     * Compile one page entry and record what it depends on.
+     * @param {PageEntry} pageEntry - Page entry to compile.
+     * @param {string} outDir - Absolute HTML output directory.
+     * @returns {Promise<PageDependencies>} Templates and data keys the page read.
+     */
+    async function compilePageEntry(pageEntry, outDir) {
+        /** @type {PageDependencies} */
+        const dependencies = { templates: new Set(), dataKeys: new Set() };
+        await compilePageWithPartials(pageEntry, inputs.partials, inputs.globalData, inputs.i18n, outDir, inputs.options, inputs.helpers, inputs.plugins, dependencies);
+        return dependencies;
+    }
+}
+
+/**
+ * Compile page entries in this thread.
+ * @param {PageEntry[]} pageEntries - Page entries to compile.
+ * @param {CompileInputs} inputs - Data shared by all pages.
+ * @param {string} outDir - Absolute HTML output directory.
+ * @returns {Promise<import('./compile-pool.js').PageCompileResult[]>} One result per page entry.
+ */
+async function compileInThread(pageEntries, inputs, outDir) {
+    const compilePageEntry = createPageEntryCompiler(inputs);
+    /** @type {import('./compile-pool.js').PageCompileResult[]} */
+    const results = [];
+    for (const pageEntry of pageEntries) {
+        try {
+            results.push({ dependencies: await compilePageEntry(pageEntry, outDir) });
+        } catch (error) {
+            results.push({ error: error instanceof Error ? error : new Error(String(error)) });
+        }
+    }
+    return results;
+}
+
+/**
+ * Compile page entries, collecting failures so every failing page is reported.
+ * With `cache`, pages whose inputs did not change are copied from `tmp/html-cache` instead;
+ * with more than one worker, the remaining pages are compiled in parallel worker threads.
+ * @param {PageEntry[]} pageEntries - Page entries to compile.
+ * @param {CompileInputs} inputs - Data shared by all pages.
+ * @param {string} outDir - Absolute HTML output directory.
+ * @param {CompileSettings} [settings] - Cache and worker settings.
+ * @returns {Promise<CompileResult>} Written pages.
+ */
+async function compilePageEntries(pageEntries, inputs, outDir, settings = {}) {
+    const { cache = false, workers = 1 } = settings;
+    const htmlCache = cache ? openHtmlCache(inputs) : null;
+    /** @type {Map<string, PageDependencies>} */
+    const dependenciesByTemplate = new Map();
+    /** @type {Set<string>} */
+    const failedTemplates = new Set();
+    /** @type {PageEntry[]} */
+    const staleEntries = [];
+
+    for (const pageEntry of pageEntries) {
+        const cached = htmlCache?.restore(pageEntry, join(outDir, pageEntry.outputRelativePath));
+        if (cached) {
+            addPageDependencies(pageEntry, cached);
+        } else {
+            staleEntries.push(pageEntry);
+        }
+    }
+    if (htmlCache) {
+        console.log(`Reused ${pageEntries.length - staleEntries.length} of ${pageEntries.length} pages from tmp/html-cache`);
+    }
+
+    const canUseWorkers = workers > 1 && staleEntries.length > 1;
+    const useWorkers = canUseWorkers && canCompileInWorkers(inputs);
+    if (canUseWorkers && !useWorkers) {
+        console.warn('Compiling pages in one thread: globalData or config overrides contain values that cannot be sent to worker threads, such as functions or class instances');
+    }
+    const results = useWorkers
+        ? await compileInWorkers(staleEntries, inputs, outDir, workers)
+        : await compileInThread(staleEntries, inputs, outDir);
+
+    /** @type {Error[]} */
+    const errors = [];
+    results.forEach((result, index) => {
+        const pageEntry = staleEntries[index];
+        if (result.dependencies) {
+            addPageDependencies(pageEntry, result.dependencies);
+            htmlCache?.store(pageEntry, join(outDir, pageEntry.outputRelativePath), result.dependencies);
+            return;
+        }
+        failedTemplates.add(pageEntry.templatePath);
+        errors.push(result.error ?? new Error(`Failed to compile ${pageEntry.outputRelativePath}`));
+    });
+
+    for (const [templatePath, dependencies] of dependenciesByTemplate) {
+        pageDependencies.set(templatePath, dependencies);
+    }
+    // A failed render recorded only part of its dependencies; treat the page as untracked.
+    for (const templatePath of failedTemplates) pageDependencies.delete(templatePath);
+    htmlCache?.save();
+
+    if (errors.length) throw new CompileErrors(errors);
+
+    return {
+        pages: pageEntries.map((pageEntry) => pageEntry.outputRelativePath),
+        cachedPages: pageEntries.length - staleEntries.length
+    };
+
+    /**
+     * Merge the dependencies of one page entry into those of its template.
+     * @param {PageEntry} pageEntry - Compiled or restored page entry.
+     * @param {PageDependencies} dependencies - Recorded dependencies.
+     * @returns {void}
+     */
+    function addPageDependencies(pageEntry, dependencies) {
+        const templateDependencies = dependenciesByTemplate.get(pageEntry.templatePath)
+            ?? { templates: new Set(), dataKeys: new Set() };
+        for (const template of dependencies.templates) templateDependencies.templates.add(template);
+        for (const dataKey of dependencies.dataKeys) templateDependencies.dataKeys.add(dataKey);
+        dependenciesByTemplate.set(pageEntry.templatePath, templateDependencies);
+    }
+}
+
+/**
+ * Wrap global data so that the top-level keys a template reads are recorded.
+ * @param {PlainObject} globalData - Nested global template data.
+ * @param {Set<string>} dataKeys - Receives the keys that are read.
+ * @returns {PlainObject} Proxy over `globalData`.
+ */
+function trackGlobalDataReads(globalData, dataKeys) {
+    return new Proxy(globalData, {
+        get(target, key, receiver) {
+            if (typeof key === 'string') dataKeys.add(key);
+            return Reflect.get(target, key, receiver);
+        },
+        has(target, key) {
+            if (typeof key === 'string') dataKeys.add(key);
+            return Reflect.has(target, key);
+        },
+        ownKeys(target) {
+            // Iterating `globalData` reads every key.
+            for (const key of Object.keys(target)) dataKeys.add(key);
+            return Reflect.ownKeys(target);
+        }
+    });
+}
+
+/**
+ * Wrap the partial map so that reading a partial's source records the partial as a dependency.
+ * @param {Record<string, string>} partials - Partial map from `readPartials()`.
+ * @param {Set<string>} templates - Receives absolute paths of the partials that are read.
+ * @returns {Record<string, string>} Proxy over `partials`.
+ */
+function trackPartialReads(partials, templates) {
+    return new Proxy(partials, {
+        get(target, key, receiver) {
+            if (typeof key === 'string' && hasOwnKey(target, key)) templates.add(join(PARTIALS_DIR, `${key}.ejs`));
+            return Reflect.get(target, key, receiver);
+        },
+        ownKeys(target) {
+            for (const key of Object.keys(target)) templates.add(join(PARTIALS_DIR, `${key}.ejs`));
+            return Reflect.ownKeys(target);
+        }
+    });
+}
+
+/**
+ * Build the `pagination` template variable with base-aware page URLs.
+ * @param {PageEntryPagination} pagination - Pagination state of the page entry.
+ * @param {string} basePath - Normalized deploy base path.
+ * @returns {{
+ *   items: unknown[],
+ *   pageNumber: number,
+ *   totalPages: number,
+ *   totalItems: number,
+ *   size: number,
+ *   urls: string[],
+ *   firstUrl: string,
+ *   lastUrl: string,
+ *   previousUrl: string | null,
+ *   nextUrl: string | null
+ * }} Pagination data for list templates.
+ */
+function createPaginationContext(pagination, basePath) {
+    const urls = pagination.routes.map((route) => withBase(route, basePath));
+    const pageIndex = pagination.pageNumber - 1;
+
+    return {
+        items: pagination.items,
+        pageNumber: pagination.pageNumber,
+        totalPages: pagination.totalPages,
+        totalItems: pagination.totalItems,
+        size: pagination.size,
+        urls,
+        firstUrl: urls[0],
+        lastUrl: urls[urls.length - 1],
+        previousUrl: pageIndex > 0 ? urls[pageIndex - 1] : null,
+        nextUrl: pageIndex < urls.length - 1 ? urls[pageIndex + 1] : null
+    };
+}
+
+/**
+ * Build the template value for one locale version of the current page. `url` is absolute when
+ * `siteUrl` is set, as search engines expect for `hreflang` links; `path` stays root-relative for
+ * in-site links such as a language switcher.
+ * @param {{ locale: string, route: string }} alternate - Locale and unprefixed route.
+ * @param {string} basePath - Normalized deploy base path.
+ * @param {string} [siteUrl] - Canonical site origin.
+ * @returns {{ locale: string, url: string, path: string }} Alternate for templates.
+ */
+function createAlternate(alternate, basePath, siteUrl) {
+    const path = withBase(alternate.route, basePath);
+    return { locale: alternate.locale, url: siteUrl ? new URL(path, siteUrl).toString() : path, path };
+}
+
+/**
+ * Compile a single page entry using the current partial set.
+ * Pages that call `layout()` and Markdown pages are wrapped in their layout, which receives
+ * the page output as `content` and named `block()` content such as title or scripts.
+ * Every template gets the route info and co-located page data as `page`; localized pages also
+ * get `locale`, `t()` and `withLocale()`. Built-in and custom template helpers are added as well.
+ * @param {PageEntry} pageEntry - Page entry from `resolvePageEntries()`.
  * @param {Record<string, string>} partials - Partial map from `readPartials()`.
  * @param {PlainObject} globalData - Nested JSON data exposed to all templates.
+ * @param {import('./i18n.js').I18nSetup | null} i18n - Locales and translations, or `null` for single-language sites.
  * @param {string} outDir - Absolute HTML output directory.
- * @param {{
- *   responsiveImages?: boolean,
- *   imageManifest?: Map<string, import('./responsive-images.js').ResponsiveImageEntry>,
- *   imageConfig?: import('./responsive-images.js').ResponsiveImageConfig,
- *   basePath?: string
- * }} [options] - Optional build-time image transform settings.
- * @returns {void}
+ * @param {CompileOptions} options - Build-time image transform settings and base path.
+ * @param {import('./template-helpers.js').TemplateHelpers} helpers - Helpers from config, `src/helpers` and plugins.
+ * @param {import('./plugins.js').PagePlugin[]} plugins - Plugins that transform page HTML.
+ * @param {PageDependencies} dependencies - Receives the templates and `globalData` keys the page reads.
+ * @returns {Promise<void>}
  */
-function compilePageWithPartials(pageFileAbs, partials, globalData, outDir, options) {
-    const basePath = options?.basePath ?? '/';
+async function compilePageWithPartials(pageEntry, partials, globalData, i18n, outDir, options, helpers, plugins, dependencies) {
+    const basePath = options.basePath ?? '/';
+    const pageFileAbs = pageEntry.templatePath;
     if (!existsSync(pageFileAbs)) return;
-    const template = readEjsFile(pageFileAbs);
-    const renderedHtml = ejs.render(
-        template,
-        { globalData, partials, basePath, withBase: renderWithBase, moduleEntry: MODULE_ENTRY },
-        { root: PAGES_DIR, filename: pageFileAbs }
-    );
-    const html = transformHtmlImages(renderedHtml, { ...options, basePath });
-    const pageInfo = getPagePathInfo(PAGES_DIR, pageFileAbs);
-    const outPath = join(outDir, pageInfo.outputRelativePath);
+    const displayPath = pathRelative(CWD, pageFileAbs).replaceAll('\\', '/');
+    /** @type {Map<string, string[]>} */
+    const blocks = new Map();
+    /** @type {string | null} */
+    let pendingLayoutPath = null;
+    /** @type {PlainObject} */
+    const context = {
+        ...createBuiltInHelpers(pageEntry.locale),
+        ...helpers,
+        globalData: trackGlobalDataReads(globalData, dependencies.dataKeys),
+        partials: trackPartialReads(partials, dependencies.templates),
+        basePath,
+        withBase: renderWithBase,
+        moduleEntry: MODULE_ENTRY,
+        entry: createEntryHelper(displayPath),
+        imagePlaceholder: createImagePlaceholderHelper({ ...options, basePath }, displayPath),
+        params: pageEntry.params,
+        item: pageEntry.item,
+        pagination: pageEntry.pagination && createPaginationContext(pageEntry.pagination, basePath),
+        page: await loadPageContext(pageFileAbs, pageEntry),
+        locale: pageEntry.locale,
+        locales: i18n?.locales ?? [],
+        alternates: pageEntry.alternates.map((alternate) => createAlternate(alternate, basePath, options.siteUrl)),
+        t: i18n && pageEntry.locale ? createTranslator(i18n, pageEntry.locale) : translateWithoutI18n,
+        withLocale: renderWithLocale,
+        layout: setLayout,
+        block: renderBlock,
+        [APPLY_PROPS_HELPER]: applyComponentProps,
+        [TRACK_INCLUDE_HELPER]: trackIncludeProps
+    };
+    let renderedHtml;
+    if (isMarkdownFile(pageFileAbs)) {
+        const markdownPage = readMarkdownPage(pageFileAbs);
+        context.frontMatter = markdownPage.frontMatter;
+        pendingLayoutPath = markdownPage.layoutPath;
+        renderedHtml = renderMarkdown(markdownPage.markdown);
+    } else {
+        renderedHtml = renderTemplate(pageFileAbs, pageFileAbs, context, dependencies);
+    }
+
+    /** @type {Set<string>} */
+    const appliedLayouts = new Set();
+    while (pendingLayoutPath) {
+        const layoutPath = pendingLayoutPath;
+        pendingLayoutPath = null;
+        if (appliedLayouts.has(layoutPath)) {
+            throw new Error(`Layout cycle in ${displayPath}: ${pathRelative(CWD, layoutPath).replaceAll('\\', '/')} is already applied.`);
+        }
+        appliedLayouts.add(layoutPath);
+        renderedHtml = renderTemplate(layoutPath, pageFileAbs, { ...context, content: renderedHtml }, dependencies);
+    }
+
+    const pluginHtml = await transformPageHtml(plugins, renderedHtml, {
+        outputPath: pageEntry.outputRelativePath,
+        templatePath: displayPath,
+        locale: pageEntry.locale
+    });
+    const html = transformHtmlImages(pluginHtml, { ...options, basePath, templatePath: displayPath });
+    const outPath = join(outDir, pageEntry.outputRelativePath);
     const pageOutDir = dirname(outPath);
     mkdirSync(pageOutDir, { recursive: true });
     writeFileSync(outPath, html);
@@ -396,58 +1347,127 @@ function compilePageWithPartials(pageFileAbs, partials, globalData, outDir, opti
     function renderWithBase(url) {
         return withBase(url, basePath);
     }
+
+    /**
+     * Link to an internal page in the current (or another) locale.
+     * @param {string} url - Internal page path without locale, e.g. `/about/`.
+     * @param {string} [locale] - Target locale, defaults to the page locale.
+     * @returns {string} Base-aware, locale-prefixed URL.
+     */
+    function renderWithLocale(url, locale = pageEntry.locale) {
+        if (!i18n || !locale) return withBase(url, basePath);
+        if (!i18n.locales.includes(locale)) {
+            throw new Error(`Unknown locale "${locale}" passed to withLocale() in ${displayPath}`);
+        }
+        return withBase(localizePath(url, locale, i18n), basePath);
+    }
+
+    /**
+     * Fail clearly when a template calls `t()` on a site without `i18n` config.
+     * @param {string} key - Translation key.
+     * @returns {string} Never returns.
+     */
+    function translateWithoutI18n(key) {
+        throw new Error(`t("${key}") in ${displayPath} requires "i18n" in ground-zero config`);
+    }
+
+    /**
+     * Wrap the current template output in a layout from `src/layouts`.
+     * @param {string} layoutName - Layout name, e.g. `base`.
+     * @returns {string} Empty string so `<%- layout('base') %>` prints nothing.
+     */
+    function setLayout(layoutName) {
+        if (pendingLayoutPath) {
+            throw new Error(`Multiple layouts declared while rendering ${displayPath}; call layout() once per template.`);
+        }
+        pendingLayoutPath = resolveLayoutPath(String(layoutName), displayPath);
+        return '';
+    }
+
+    /**
+     * Append HTML to a named block, or read the block when called without content.
+     * @param {string} name - Block name, e.g. `title`, `head` or `scripts`.
+     * @param {unknown} [blockContent] - HTML to append to the block.
+     * @returns {string} Joined block content when reading, otherwise an empty string.
+     */
+    function renderBlock(name, blockContent) {
+        if (blockContent === undefined) {
+            return (blocks.get(name) ?? []).join('\n');
+        }
+
+        const entries = blocks.get(name) ?? [];
+        entries.push(String(blockContent));
+        blocks.set(name, entries);
+        return '';
+    }
+}
+
+/**
+ * Complete the compile options with the base path and site URL. With `devImages`, the image manifest is loaded
+ * so dev pages get the same `<img>` markup as in production, and `srcset`, `width` and `height`
+ * issues show up before the build.
+ * @param {CompileOptions} [options] - Caller options.
+ * @returns {Promise<CompileOptions & { basePath: string }>} Options for rendering.
+ */
+async function resolveCompileOptions(options = {}) {
+    const { devImages = false, ...compileOptions } = options;
+    const basePath = compileOptions.basePath ?? await loadBasePath();
+    const siteUrl = compileOptions.siteUrl ?? await loadSiteUrl();
+    if (!devImages || compileOptions.responsiveImages !== undefined) return { ...compileOptions, basePath, siteUrl };
+    return { ...compileOptions, ...await loadResponsiveImageOptions(basePath), basePath, siteUrl };
 }
 
 /**
- * Compile one EJS page to HTML.
+ * Compile one EJS or Markdown page to HTML.
+ * Dynamic `[param]` templates emit one HTML file per collection item.
  * @param {string} pageFileAbs - Absolute page path.
  * @param {string} [outDir] - Optional output directory, defaults to `dev-html/`.
- * @param {{
- *   responsiveImages?: boolean,
- *   imageManifest?: Map<string, import('./responsive-images.js').ResponsiveImageEntry>,
- *   imageConfig?: import('./responsive-images.js').ResponsiveImageConfig,
- *   basePath?: string
- * }} [options] - Optional build-time image transform settings.
- * @returns {Promise<void>}
+ * @param {CompileOptions} [options] - Optional build-time image transform settings.
+ * @returns {Promise<CompileResult>} Written pages.
  */
 export async function compilePage(pageFileAbs, outDir, options) {
-    const basePath = options?.basePath ?? await loadBasePath();
+    const compileOptions = await resolveCompileOptions(options);
     const targetOutDir = getOutDir(outDir);
     ensureOutDir(targetOutDir);
     const partials = readPartials();
-    const globalData = readGlobalData();
-    assertNoPageOutputCollisions(PAGES_DIR, walkDirByExtension(PAGES_DIR, '.ejs'));
-    compilePageWithPartials(pageFileAbs, partials, globalData, targetOutDir, { ...options, basePath });
+    const globalData = await readGlobalData();
+    const i18n = await loadI18n();
+    const extensions = await loadTemplateExtensions();
+    const pageEntries = resolvePageEntries(listPageFiles(), globalData, i18n)
+        .filter((pageEntry) => pageEntry.templatePath === pageFileAbs);
+    return compilePageEntries(pageEntries, { partials, globalData, i18n, options: compileOptions, ...extensions }, targetOutDir);
 }
 
 /**
- * Compile all EJS pages to HTML.
+ * Compile all EJS and Markdown pages to HTML.
  * @param {string} [outDir] - Optional output directory, defaults to `dev-html/`.
- * @param {{
- *   responsiveImages?: boolean,
- *   imageManifest?: Map<string, import('./responsive-images.js').ResponsiveImageEntry>,
- *   imageConfig?: import('./responsive-images.js').ResponsiveImageConfig,
- *   basePath?: string
- * }} [options] - Optional build-time image transform settings.
- * @returns {Promise<void>}
+ * @param {CompileOptions & CompileSettings} [options] - Optional build-time image transform settings,
+ * HTML cache, worker threads and preloaded plugins.
+ * @returns {Promise<CompileResult>} Written pages.
  */
 export async function compileAll(outDir, options) {
-    const basePath = options?.basePath ?? await loadBasePath();
+    const { cache, workers, plugins, ...imageOptions } = options ?? {};
+    const compileOptions = await resolveCompileOptions(imageOptions);
     const targetOutDir = getOutDir(outDir);
     await generateSvgSprite(ICONS_DIR, SPRITE_PARTIAL);
-    resetOutDir(targetOutDir);
     const partials = readPartials();
-    const globalData = readGlobalData();
-    const pages = walkDirByExtension(PAGES_DIR, '.ejs');
-    assertNoPageOutputCollisions(PAGES_DIR, pages);
-    for (const page of pages) {
-        compilePageWithPartials(page, partials, globalData, targetOutDir, { ...options, basePath });
-    }
+    // Load and validate data before clearing the output, so a data error keeps the last good pages.
+    const globalData = await readGlobalData();
+    const i18n = await loadI18n();
+    const extensions = await loadTemplateExtensions(plugins);
+    const pageEntries = resolvePageEntries(listPageFiles(), globalData, i18n);
+    resetOutDir(targetOutDir);
+    return compilePageEntries(
+        pageEntries,
+        { partials, globalData, i18n, options: compileOptions, ...extensions },
+        targetOutDir,
+        { cache, workers }
+    );
 }
 
 if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
     compileAll().catch((err) => {
-        console.error(err);
+        console.error(formatCompileError(err));
         process.exitCode = 1;
     });
 }
@@ -0,0 +1,160 @@
+import { Worker } from 'node:worker_threads';
+import { deserializeError } from './template-errors.js';
+import { getProjectConfigOverrides } from './project-config.js';
+
+const WORKER_URL = new URL('./compile-worker.js', import.meta.url);
+
+/**
+ * @typedef {import('./compile-ejs.js').CompileInputs} CompileInputs
+ */
+
+/**
+ * The compile inputs sent to each worker. Helpers and plugins are functions, which cannot be
+ * copied to a worker, so workers load them from the config and `src/helpers` themselves.
+ * @typedef {Omit<CompileInputs, 'helpers' | 'plugins'> & { configOverrides: Record<string, unknown> | undefined }} WorkerInputs
+ */
+
+/**
+ * @typedef {Object} PageCompileResult
+ * @property {import('./compile-ejs.js').PageDependencies} [dependencies] - Dependencies recorded while rendering.
+ * @property {Error} [error] - Error thrown while compiling the page.
+ */
+
+/**
+ * Build the data sent to each worker, including the config overrides of the current Node API call.
+ * @param {CompileInputs} inputs - Data shared by all pages.
+ * @returns {WorkerInputs} Worker data.
+ */
+function getWorkerInputs(inputs) {
+    const { helpers, plugins, ...workerInputs } = inputs;
+    return { ...workerInputs, configOverrides: getProjectConfigOverrides() };
+}
+
+/**
+ * Check whether the compile inputs can be copied to worker threads.
+ * Global data from JavaScript modules may contain functions or class instances, which cannot;
+ * neither can config overrides with functions, such as helpers passed to the Node API.
+ * @param {CompileInputs} inputs - Data shared by all pages.
+ * @returns {boolean} `true` when workers can be used.
+ */
+export function canCompileInWorkers(inputs) {
+    try {
+        structuredClone(getWorkerInputs(inputs));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Compile page entries on a pool of worker threads. Each worker loads the compiler once and
+ * receives the next page as soon as it finishes the previous one.
+ * @param {import('./compile-ejs.js').PageEntry[]} pageEntries - Page entries to compile.
+ * @param {CompileInputs} inputs - Data shared by all pages.
+ * @param {string} outDir - Absolute HTML output directory.
+ * @param {number} workerCount - Maximum number of worker threads.
+ * @returns {Promise<PageCompileResult[]>} One result per page entry, in input order.
+ */
+export function compileInWorkers(pageEntries, inputs, outDir, workerCount) {
+    return new Promise((resolve, reject) => {
+        /** @type {PageCompileResult[]} */
+        const results = new Array(pageEntries.length);
+        /** @type {Worker[]} */
+        const workers = [];
+        const workerInputs = getWorkerInputs(inputs);
+        let nextIndex = 0;
+        let finished = 0;
+        let settled = false;
+
+        if (!pageEntries.length) {
+            resolve(results);
+            return;
+        }
+
+        for (let index = 0; index < Math.min(workerCount, pageEntries.length); index++) {
+            workers.push(startWorker());
+        }
+
+        /**
+         * Start a worker and give it its first page.
+         * @returns {Worker} Started worker.
+         */
+        function startWorker() {
+            const worker = new Worker(WORKER_URL, { workerData: workerInputs });
+            /** @type {number | null} */
+            let pageIndex = null;
+            worker.on('message', handleMessage);
+            worker.on('error', fail);
+            worker.on('exit', handleExit);
+            pageIndex = sendNextPage(worker);
+            return worker;
+
+            /**
+             * Store the result of one page and hand out the next one.
+             * @param {{ index: number, dependencies?: import('./compile-ejs.js').PageDependencies, error?: import('./template-errors.js').SerializedError }} message - Worker result.
+             * @returns {void}
+             */
+            function handleMessage(message) {
+                results[message.index] = message.error
+                    ? { error: deserializeError(message.error) }
+                    : { dependencies: message.dependencies };
+                finished += 1;
+                pageIndex = null;
+
+                if (finished === pageEntries.length) {
+                    settled = true;
+                    stopWorkers();
+                    resolve(results);
+                } else {
+                    pageIndex = sendNextPage(worker);
+                }
+            }
+
+            /**
+             * Fail the compile when the worker stops before all pages are done, e.g. because
+             * a page data module called `process.exit()`.
+             * @param {number} exitCode - Worker exit code.
+             * @returns {void}
+             */
+            function handleExit(exitCode) {
+                if (settled) return;
+                const pageEntry = pageIndex === null ? null : pageEntries[pageIndex];
+                const page = pageEntry ? ` while compiling ${pageEntry.outputRelativePath}` : '';
+                fail(new Error(`Compile worker exited with code ${exitCode}${page}`));
+            }
+        }
+
+        /**
+         * Send the next page entry to a worker, if any are left.
+         * @param {Worker} worker - Idle worker.
+         * @returns {number | null} Index of the sent page entry, or `null` when none are left.
+         */
+        function sendNextPage(worker) {
+            if (nextIndex >= pageEntries.length) return null;
+            const index = nextIndex;
+            nextIndex += 1;
+            worker.postMessage({ index, pageEntry: pageEntries[index], outDir });
+            return index;
+        }
+
+        /**
+         * Stop all workers after a worker crashed.
+         * @param {Error} err - Worker error.
+         * @returns {void}
+         */
+        function fail(err) {
+            if (settled) return;
+            settled = true;
+            stopWorkers();
+            reject(err);
+        }
+
+        /**
+         * Terminate all workers.
+         * @returns {void}
+         */
+        function stopWorkers() {
+            for (const worker of workers) void worker.terminate();
+        }
+    });
+}
@@ -0,0 +1,39 @@
+import { parentPort, workerData } from 'node:worker_threads';
+import { createPageEntryCompiler, loadTemplateExtensions } from './compile-ejs.js';
+import { withProjectConfigOverrides } from './project-config.js';
+import { serializeError } from './template-errors.js';
+
+/**
+ * Worker thread entry for `compileInWorkers()`: compiles one page entry per message and
+ * replies with the recorded dependencies or the error. Template helpers and plugins are loaded
+ * here, because functions cannot be sent to a worker.
+ */
+const { configOverrides, ...inputs } = /** @type {import('./compile-pool.js').WorkerInputs} */ (workerData);
+const compilerReady = withProjectConfigOverrides(configOverrides, createCompiler);
+// Load errors are reported with each page instead of crashing the worker.
+compilerReady.catch(() => {});
+
+parentPort?.on('message', handleMessage);
+
+/**
+ * Load the template helpers and plugins, then create the page compiler.
+ * @returns {Promise<(pageEntry: import('./compile-ejs.js').PageEntry, outDir: string) => Promise<import('./compile-ejs.js').PageDependencies>>} Page compiler.
+ */
+async function createCompiler() {
+    return createPageEntryCompiler({ ...inputs, ...await loadTemplateExtensions() });
+}
+
+/**
+ * Compile the page entry of one message.
+ * @param {{ index: number, pageEntry: import('./compile-ejs.js').PageEntry, outDir: string }} message - Page to compile.
+ * @returns {Promise<void>}
+ */
+async function handleMessage({ index, pageEntry, outDir }) {
+    try {
+        const compilePageEntry = await compilerReady;
+        const dependencies = await withProjectConfigOverrides(configOverrides, () => compilePageEntry(pageEntry, outDir));
+        parentPort?.postMessage({ index, dependencies });
+    } catch (error) {
+        parentPort?.postMessage({ index, error: serializeError(error) });
+    }
+}
@@ -0,0 +1,199 @@
+import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
+import { join, relative as pathRelative, sep as pathSep } from 'node:path';
+import { readJsonFile } from './data-files.js';
+import { COMPONENTS_DIR } from './components.js';
+import { MODULE_ENTRY, createComponentRenderer } from './compile-ejs.js';
+
+const CWD = process.cwd();
+const FIXTURES_SUFFIX = '.fixtures.json';
+const SPRITE_PARTIAL = join(CWD, 'src/partials/svg-sprite.ejs');
+
+/** Dev-only route of the component gallery, relative to the deploy base path. */
+export const COMPONENT_GALLERY_ROUTE = '/__gzero/components/';
+
+/**
+ * @typedef {Object} ComponentExample
+ * @property {string} name - Example name shown in the gallery.
+ * @property {Record<string, unknown>} props - Props passed to the component.
+ * @property {Record<string, string>} slots - Slot content by name.
+ */
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Check whether a value is a plain object.
+ * @param {unknown} value - Unknown runtime value.
+ * @returns {value is Record<string, unknown>} `true` when the value is a plain object.
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Escape text for use in HTML content and attribute values.
+ * @param {string} value - Raw text.
+ * @returns {string} Escaped text.
+ */
+function escapeHtml(value) {
+    return value
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;');
+}
+
+/**
+ * Check whether a file holds example props for a component, e.g. `src/components/card.fixtures.json`.
+ * @param {string} filePath - Absolute file path.
+ * @returns {boolean} `true` for fixture files in `src/components`.
+ */
+export function isComponentFixtureFile(filePath) {
+    return filePath.startsWith(`${COMPONENTS_DIR}${pathSep}`) && filePath.endsWith(FIXTURES_SUFFIX);
+}
+
+/**
+ * List all component templates in `src/components`, sorted by path.
+ * @param {string} dir - Directory to scan.
+ * @returns {string[]} Absolute component paths.
+ */
+function listComponentFiles(dir) {
+    if (!existsSync(dir)) return [];
+    /** @type {string[]} */
+    const filePaths = [];
+
+    for (const entry of readdirSync(dir)) {
+        const entryPath = join(dir, entry);
+        if (statSync(entryPath).isDirectory()) {
+            filePaths.push(...listComponentFiles(entryPath));
+        } else if (entry.endsWith('.ejs')) {
+            filePaths.push(entryPath);
+        }
+    }
+
+    return filePaths.sort();
+}
+
+/**
+ * Read the examples of a component from its sidecar fixtures file.
+ * The file maps example names to props; an optional `slots` object holds slot content by name.
+ * Components without fixtures are shown once without props.
+ * @param {string} componentPath - Absolute component path.
+ * @returns {ComponentExample[]} Examples to render.
+ */
+function readComponentExamples(componentPath) {
+    const fixturesPath = componentPath.replace(/\.ejs$/, FIXTURES_SUFFIX);
+    if (!existsSync(fixturesPath)) return [{ name: 'Default', props: {}, slots: { default: '' } }];
+
+    const displayPath = normalizeSlashes(pathRelative(CWD, fixturesPath));
+    const fixtures = readJsonFile(fixturesPath);
+    if (!isPlainObject(fixtures)) {
+        throw new Error(`Expected ${displayPath} to be an object of examples like { "Default": { "title": "Hello" } }`);
+    }
+
+    return Object.entries(fixtures).map(([name, example]) => {
+        if (!isPlainObject(example)) {
+            throw new Error(`Expected example "${name}" in ${displayPath} to be an object of props`);
+        }
+
+        const { slots = {}, ...props } = example;
+        if (!isPlainObject(slots) || Object.values(slots).some((content) => typeof content !== 'string')) {
+            throw new Error(`Expected "slots" of example "${name}" in ${displayPath} to map slot names to HTML strings`);
+        }
+
+        return { name, props, slots: { default: '', ...slots } };
+    });
+}
+
+/**
+ * Render an error message box for a component or example that failed.
+ * @param {unknown} err - Thrown value.
+ * @returns {string} Error HTML.
+ */
+function renderGalleryError(err) {
+    const message = err instanceof Error ? err.message : String(err);
+    return `<pre class="gz-gallery-error">${escapeHtml(message)}</pre>`;
+}
+
+/**
+ * Render the component gallery: every component in `src/components` with each example from its
+ * `*.fixtures.json` sidecar file. Failing components or examples show their error in place.
+ * @param {string} basePath - Normalized deploy base path.
+ * @returns {Promise<string>} Gallery page HTML.
+ */
+export async function renderComponentGallery(basePath) {
+    const renderComponent = await createComponentRenderer(COMPONENT_GALLERY_ROUTE, basePath);
+    const componentFiles = listComponentFiles(COMPONENTS_DIR);
+    const sprite = existsSync(SPRITE_PARTIAL) ? readFileSync(SPRITE_PARTIAL, 'utf8') : '';
+    /** @type {string[]} */
+    const navItems = [];
+    /** @type {string[]} */
+    const sections = [];
+
+    for (const componentPath of componentFiles) {
+        const name = normalizeSlashes(pathRelative(COMPONENTS_DIR, componentPath)).replace(/\.ejs$/, '');
+        const anchor = `component-${name.replaceAll('/', '-')}`;
+        navItems.push(`<li><a href="#${escapeHtml(anchor)}">${escapeHtml(name)}</a></li>`);
+
+        /** @type {string[]} */
+        const examples = [];
+        try {
+            for (const example of readComponentExamples(componentPath)) {
+                let output;
+                try {
+                    output = renderComponent(componentPath, example.props, example.slots);
+                } catch (err) {
+                    output = renderGalleryError(err);
+                }
+                examples.push(
+                    `<figure class="gz-gallery-example"><figcaption>${escapeHtml(example.name)}</figcaption>`
+                    + `<div class="gz-gallery-preview">${output}</div></figure>`
+                );
+            }
+        } catch (err) {
+            examples.push(renderGalleryError(err));
+        }
+
+        sections.push(
+            `<section class="gz-gallery-component" id="${escapeHtml(anchor)}"><h2>${escapeHtml(name)}</h2>`
+            + `<p><code>${escapeHtml(normalizeSlashes(pathRelative(CWD, componentPath)))}</code></p>`
+            + `${examples.join('\n')}</section>`
+        );
+    }
+
+    const content = sections.length
+        ? `<nav><ul>${navItems.join('')}</ul></nav>\n${sections.join('\n')}`
+        : '<p>No components yet. Add <code>.ejs</code> files to <code>src/components</code>.</p>';
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Components</title>
+    <style>
+        .gz-gallery { max-width: 72rem; margin: 0 auto; padding: 2rem 1rem; }
+        .gz-gallery-component { margin: 3rem 0; }
+        .gz-gallery-example { margin: 1rem 0; }
+        .gz-gallery-example figcaption { font: 600 0.875rem/1.5 system-ui, sans-serif; margin-bottom: 0.5rem; }
+        .gz-gallery-preview { padding: 1rem; border: 1px dashed #b0b0b0; }
+        .gz-gallery-error { white-space: pre-wrap; padding: 1rem; color: #8b0000; background: #fff0f0; }
+    </style>
+</head>
+<body>
+    ${sprite}
+    <main class="gz-gallery">
+        <h1>Components</h1>
+        ${content}
+    </main>
+    <script type="module" src="${MODULE_ENTRY}"></script>
+</body>
+</html>
+`;
+}
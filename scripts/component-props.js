@@ -0,0 +1,211 @@
+import { relative as pathRelative, sep as pathSep } from 'node:path';
+import { readTemplateMetaBlock } from './template-meta.js';
+import { COMPONENTS_DIR } from './components.js';
+
+const CWD = process.cwd();
+const PROPS_BLOCK_TAG = '@ground-zero-props';
+const PROP_TYPES = new Set(['string', 'number', 'boolean', 'array', 'object', 'function', 'any']);
+const PROP_SPEC_KEYS = new Set(['type', 'required', 'default']);
+
+/** Template variable holding the props check that component templates call on their first line. */
+export const APPLY_PROPS_HELPER = '__gzeroApplyProps';
+/** Template variable that wraps `include()` on the first line of every template. */
+export const TRACK_INCLUDE_HELPER = '__gzeroTrackInclude';
+/** Template variable holding the data passed to the `include()` or `component()` call that rendered a template. */
+export const PASSED_PROPS_KEY = '__gzeroProps';
+
+/**
+ * @typedef {Object} PropSpec
+ * @property {string[]} types - Accepted prop types.
+ * @property {boolean} required - Whether callers must pass the prop.
+ * @property {boolean} hasDefault - Whether a default value is declared.
+ * @property {unknown} defaultValue - Value used when the prop is not passed.
+ */
+
+/** @type {Map<string, Map<string, PropSpec>>} */
+const propSpecsByComponent = new Map();
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Check whether a value is a plain object.
+ * @param {unknown} value - Unknown runtime value.
+ * @returns {value is Record<string, unknown>} `true` when the value is a plain object.
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Describe the runtime type of a prop value in the terms used by `@ground-zero-props`.
+ * @param {unknown} value - Prop value.
+ * @returns {string} Type name, e.g. `string`, `array` or `null`.
+ */
+function getPropType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Check whether a value matches one of the accepted prop types.
+ * @param {unknown} value - Prop value.
+ * @param {string[]} types - Accepted prop types.
+ * @returns {boolean} `true` when the value is allowed.
+ */
+function matchesPropType(value, types) {
+    return types.includes('any') || types.includes(getPropType(value));
+}
+
+/**
+ * Validate one prop declaration from a `@ground-zero-props` block.
+ * @param {string} name - Prop name.
+ * @param {unknown} rawSpec - Declaration, e.g. `{ "type": "string", "required": true }`.
+ * @param {string} displayPath - Component path for error messages.
+ * @returns {PropSpec} Normalized declaration.
+ */
+function normalizePropSpec(name, rawSpec, displayPath) {
+    if (!isPlainObject(rawSpec)) {
+        throw new Error(`Expected prop "${name}" in ${PROPS_BLOCK_TAG} of ${displayPath} to be an object like { "type": "string" }`);
+    }
+    for (const key of Object.keys(rawSpec)) {
+        if (!PROP_SPEC_KEYS.has(key)) {
+            throw new Error(`Unsupported key "${key}" for prop "${name}" in ${displayPath}`);
+        }
+    }
+
+    const rawTypes = rawSpec.type ?? 'any';
+    const types = Array.isArray(rawTypes) ? rawTypes : [rawTypes];
+    if (!types.length || types.some((type) => typeof type !== 'string' || !PROP_TYPES.has(type))) {
+        throw new Error(`Invalid type for prop "${name}" in ${displayPath}; use one or more of: ${Array.from(PROP_TYPES).join(', ')}`);
+    }
+
+    const required = rawSpec.required ?? false;
+    if (typeof required !== 'boolean') {
+        throw new Error(`Expected "required" of prop "${name}" in ${displayPath} to be boolean`);
+    }
+
+    const hasDefault = 'default' in rawSpec;
+    if (hasDefault && required) {
+        throw new Error(`Prop "${name}" in ${displayPath} cannot be both required and have a default`);
+    }
+    if (hasDefault && !matchesPropType(rawSpec.default, /** @type {string[]} */ (types))) {
+        throw new Error(`Default of prop "${name}" in ${displayPath} must be ${types.join(' or ')}, got ${getPropType(rawSpec.default)}`);
+    }
+
+    return {
+        types: /** @type {string[]} */ (types),
+        required,
+        hasDefault,
+        defaultValue: rawSpec.default
+    };
+}
+
+/**
+ * Check whether a template lives in `src/components`.
+ * @param {string} filePath - Absolute template path.
+ * @returns {boolean} `true` for component templates.
+ */
+export function isComponentFile(filePath) {
+    return filePath.startsWith(`${COMPONENTS_DIR}${pathSep}`);
+}
+
+/**
+ * Prepend the props check to a component template that declares a `@ground-zero-props` block.
+ * The check is added to the first line, so template line numbers stay unchanged.
+ * @param {string} filePath - Absolute component path.
+ * @param {string} rawSource - Template source including comments.
+ * @param {string} templateSource - Template source with comments stripped.
+ * @returns {string} Template source to compile.
+ */
+export function addComponentPropsCheck(filePath, rawSource, templateSource) {
+    const displayPath = normalizeSlashes(pathRelative(CWD, filePath));
+    const meta = readTemplateMetaBlock(rawSource, PROPS_BLOCK_TAG, displayPath);
+    if (!meta) {
+        propSpecsByComponent.delete(displayPath);
+        return templateSource;
+    }
+
+    /** @type {Map<string, PropSpec>} */
+    const propSpecs = new Map();
+    for (const [name, rawSpec] of Object.entries(meta)) {
+        propSpecs.set(name, normalizePropSpec(name, rawSpec, displayPath));
+    }
+    propSpecsByComponent.set(displayPath, propSpecs);
+
+    return `<% ${APPLY_PROPS_HELPER}(locals, ${JSON.stringify(displayPath)}) %>${templateSource}`;
+}
+
+/**
+ * Make `include()` calls in a template pass their data separately as well.
+ * EJS merges the include data into the variables of the including template, so without this
+ * the props check could not tell a passed prop from a page variable of the same name.
+ * @param {string} templateSource - Template source to compile.
+ * @returns {string} Template source with `include()` wrapped on the first line.
+ */
+export function addIncludeTracking(templateSource) {
+    // Reassigns the `include` parameter of the compiled template; `include` is a reserved name, so no variable hides it.
+    return `<% include = ${TRACK_INCLUDE_HELPER}(include) %>${templateSource}`;
+}
+
+/**
+ * Wrap the `include()` function of one template render.
+ * @param {(path: string, includeData?: Record<string, unknown>) => string} include - `include()` provided by EJS.
+ * @returns {(path: string, includeData?: Record<string, unknown>) => string} `include()` that also passes the include data as `PASSED_PROPS_KEY`.
+ */
+export function trackIncludeProps(include) {
+    return includeWithProps;
+
+    /**
+     * Include a template, recording which data the caller passed.
+     * @param {string} path - Include path as written in the template.
+     * @param {Record<string, unknown>} [includeData] - Data passed to the included template.
+     * @returns {string} Rendered template.
+     */
+    function includeWithProps(path, includeData) {
+        return include(path, { ...includeData, [PASSED_PROPS_KEY]: includeData ?? {} });
+    }
+}
+
+/**
+ * Validate the props a component received and fill in declared defaults.
+ * Called from the first line of component templates with the template's locals. Only the data
+ * passed to `include()` or `component()` counts as props; page variables of the same name do not.
+ * @param {Record<string, unknown>} locals - Component template data, including the props passed to `include()`.
+ * @param {string} displayPath - Project-relative component path.
+ * @returns {void}
+ */
+export function applyComponentProps(locals, displayPath) {
+    const propSpecs = propSpecsByComponent.get(displayPath);
+    if (!propSpecs) return;
+
+    const page = /** @type {{ templatePath?: string } | undefined} */ (locals.page);
+    const caller = page?.templatePath ? `page "${page.templatePath}"` : 'a template';
+    const passedProps = isPlainObject(locals[PASSED_PROPS_KEY]) ? locals[PASSED_PROPS_KEY] : {};
+
+    for (const [name, propSpec] of propSpecs) {
+        const value = Object.hasOwn(passedProps, name) ? passedProps[name] : undefined;
+        if (value === undefined) {
+            if (propSpec.required) {
+                throw new Error(`Component ${displayPath} used in ${caller} is missing required prop "${name}".`);
+            }
+            // Optional props are always defined, so templates can read them without `typeof` checks.
+            locals[name] = propSpec.hasDefault ? structuredClone(propSpec.defaultValue) : undefined;
+            continue;
+        }
+
+        if (!matchesPropType(value, propSpec.types)) {
+            throw new Error(
+                `Component ${displayPath} used in ${caller} expects prop "${name}" to be ${propSpec.types.join(' or ')}, `
+                + `got ${getPropType(value)}.`
+            );
+        }
+    }
+}
@@ -0,0 +1,186 @@
+import { existsSync } from 'node:fs';
+import { relative as pathRelative, resolve as pathResolve, sep } from 'node:path';
+
+const CWD = process.cwd();
+export const COMPONENTS_DIR = pathResolve(CWD, 'src/components');
+const MARKER = 'gz-component';
+const SLOT_NAME_RX = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * @typedef {(componentPath: string, props: Record<string, unknown>, slots: Record<string, string>) => string} RenderComponent
+ */
+
+/**
+ * @typedef {Object} ComponentHelper
+ * @property {((name: string, props?: Record<string, unknown>) => string) & {
+ *   start: (name: string, props?: Record<string, unknown>) => string,
+ *   slot: (slotName: string) => string,
+ *   end: () => string
+ * }} component - The `component()` template helper.
+ * @property {(html: string) => string} resolveSlots - Render components opened with `component.start()` in the output.
+ */
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Map a component name such as `card` or `forms/input` to its path in `src/components`.
+ * @param {string} componentName - Component name, with or without the `.ejs` extension.
+ * @returns {string} Absolute component file path, or an empty string when the name leaves `src/components`.
+ */
+export function getComponentPath(componentName) {
+    const fileName = componentName.endsWith('.ejs') ? componentName : `${componentName}.ejs`;
+    const componentPath = pathResolve(COMPONENTS_DIR, fileName);
+    return componentPath.startsWith(`${COMPONENTS_DIR}${sep}`) ? componentPath : '';
+}
+
+/**
+ * Resolve a component name to an existing file in `src/components`.
+ * @param {string} componentName - Component name from a template.
+ * @param {string} displayPath - Project-relative template path for error messages.
+ * @returns {string} Absolute component file path.
+ */
+function resolveComponentPath(componentName, displayPath) {
+    const componentPath = getComponentPath(String(componentName));
+
+    if (!componentPath) {
+        throw new Error(`Component "${componentName}" in ${displayPath} must point to a file inside src/components`);
+    }
+    if (!existsSync(componentPath)) {
+        throw new Error(`Component "${componentName}" used by ${displayPath} was not found at ${normalizeSlashes(pathRelative(CWD, componentPath))}`);
+    }
+
+    return componentPath;
+}
+
+/**
+ * Split the content between `component.start()` and `component.end()` into named slots.
+ * Content before the first `component.slot()` call is the `default` slot.
+ * @param {string} content - Rendered content with slot markers.
+ * @param {number} id - Component call id.
+ * @returns {Record<string, string>} Slot content by name.
+ */
+function splitSlots(content, id) {
+    const slotMarkerPrefix = `${MARKER}:slot:${id}:`;
+    const [defaultContent, ...namedParts] = content.split(slotMarkerPrefix);
+    /** @type {Record<string, string>} */
+    const slots = { default: defaultContent };
+
+    for (const part of namedParts) {
+        const nameEnd = part.indexOf(MARKER);
+        const slotName = part.slice(0, nameEnd);
+        const slotContent = part.slice(nameEnd + MARKER.length);
+        slots[slotName] = `${slots[slotName] ?? ''}${slotContent}`;
+    }
+
+    return slots;
+}
+
+/**
+ * Create the `component()` helper for one template render.
+ * `component(name, props)` renders a component in place. `component.start(name, props)` …
+ * `component.end()` passes the content in between as slots; the components are rendered by
+ * `resolveSlots()` once the surrounding template has finished.
+ * @param {RenderComponent} renderComponent - Renders a component file with props and slots.
+ * @param {string} displayPath - Project-relative template path for error messages.
+ * @returns {ComponentHelper} Template helper and slot resolver.
+ */
+export function createComponentHelper(renderComponent, displayPath) {
+    /** @type {Array<{ name: string, componentPath: string, props: Record<string, unknown> }>} */
+    const calls = [];
+    /** @type {number[]} */
+    const openCalls = [];
+
+    component.start = startComponent;
+    component.slot = startSlot;
+    component.end = endComponent;
+
+    return { component, resolveSlots };
+
+    /**
+     * Render a component without slot content.
+     * @param {string} name - Component name relative to `src/components`.
+     * @param {Record<string, unknown>} [props={}] - Component props.
+     * @returns {string} Rendered component HTML.
+     */
+    function component(name, props = {}) {
+        return renderComponent(resolveComponentPath(name, displayPath), props, { default: '' });
+    }
+
+    /**
+     * Open a component whose following content becomes its slots.
+     * @param {string} name - Component name relative to `src/components`.
+     * @param {Record<string, unknown>} [props={}] - Component props.
+     * @returns {string} Start marker, replaced by the component output later.
+     */
+    function startComponent(name, props = {}) {
+        const id = calls.length;
+        calls.push({ name: String(name), componentPath: resolveComponentPath(name, displayPath), props });
+        openCalls.push(id);
+        return `${MARKER}:start:${id}${MARKER}`;
+    }
+
+    /**
+     * Start a named slot inside the open component.
+     * @param {string} slotName - Slot name, e.g. `footer`.
+     * @returns {string} Slot marker.
+     */
+    function startSlot(slotName) {
+        const id = openCalls[openCalls.length - 1];
+        if (id === undefined) {
+            throw new Error(`component.slot("${slotName}") in ${displayPath} must be called between component.start() and component.end()`);
+        }
+        if (typeof slotName !== 'string' || !SLOT_NAME_RX.test(slotName)) {
+            throw new Error(`Invalid slot name ${JSON.stringify(slotName)} in ${displayPath}; use names like "footer"`);
+        }
+        return `${MARKER}:slot:${id}:${slotName}${MARKER}`;
+    }
+
+    /**
+     * Close the innermost open component.
+     * @returns {string} End marker.
+     */
+    function endComponent() {
+        const id = openCalls.pop();
+        if (id === undefined) {
+            throw new Error(`component.end() in ${displayPath} has no matching component.start()`);
+        }
+        return `${MARKER}:end:${id}${MARKER}`;
+    }
+
+    /**
+     * Replace every `component.start()` … `component.end()` region with the rendered component.
+     * Inner components are rendered first, so their output can fill the slots of outer ones.
+     * @param {string} html - Rendered template output.
+     * @returns {string} Output with all slot components rendered.
+     */
+    function resolveSlots(html) {
+        const unclosedId = openCalls[openCalls.length - 1];
+        if (unclosedId !== undefined) {
+            throw new Error(`component.start("${calls[unclosedId].name}") in ${displayPath} has no matching component.end()`);
+        }
+
+        let output = html;
+        for (let id = calls.length - 1; id >= 0; id--) {
+            const startMarker = `${MARKER}:start:${id}${MARKER}`;
+            const endMarker = `${MARKER}:end:${id}${MARKER}`;
+            const startIndex = output.indexOf(startMarker);
+            const endIndex = output.indexOf(endMarker);
+            if (startIndex === -1 || endIndex < startIndex) {
+                throw new Error(`Output of component "${calls[id].name}" in ${displayPath} is incomplete; print component.start(), component.slot() and component.end() with <%- %>`);
+            }
+
+            const slots = splitSlots(output.slice(startIndex + startMarker.length, endIndex), id);
+            const rendered = renderComponent(calls[id].componentPath, calls[id].props, slots);
+            output = `${output.slice(0, startIndex)}${rendered}${output.slice(endIndex + endMarker.length)}`;
+        }
+
+        return output;
+    }
+}
@@ -0,0 +1,141 @@
+import { readFileSync, statSync } from 'node:fs';
+import { extname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { parse as parseToml } from 'smol-toml';
+import { parse as parseYaml } from 'yaml';
+import { createCodeFrame } from './code-frame.js';
+
+/** File extensions loaded from `src/data` into `globalData`. */
+export const DATA_FILE_EXTENSIONS = ['.json', '.yaml', '.yml', '.toml', '.csv', '.js', '.mjs'];
+
+/**
+ * Read and parse a JSON data file.
+ * Syntax errors carry the file as `id`, plus the `loc` and code `frame` of the offending character when the parser reports its position.
+ * @param {string} filePath - Absolute JSON file path.
+ * @returns {unknown} Parsed JSON value.
+ */
+export function readJsonFile(filePath) {
+    const rawContent = readFileSync(filePath, 'utf8');
+
+    try {
+        return JSON.parse(rawContent);
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        const jsonError = Object.assign(new Error(`Invalid JSON in ${filePath}: ${errorMessage}`), { id: filePath });
+        const position = /at position (\d+)/.exec(errorMessage);
+        if (position) {
+            const textBefore = rawContent.slice(0, Number(position[1]));
+            const line = textBefore.split('\n').length;
+            const column = textBefore.length - textBefore.lastIndexOf('\n');
+            Object.assign(jsonError, {
+                loc: { file: filePath, line, column },
+                frame: createCodeFrame(rawContent, line, column)
+            });
+        }
+        throw jsonError;
+    }
+}
+
+/**
+ * Read and parse a YAML data file.
+ * @param {string} filePath - Absolute `.yaml` or `.yml` file path.
+ * @returns {unknown} Parsed YAML value.
+ */
+function readYamlFile(filePath) {
+    const rawContent = readFileSync(filePath, 'utf8');
+
+    try {
+        return parseYaml(rawContent);
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        throw new Error(`Invalid YAML in ${filePath}: ${errorMessage}`);
+    }
+}
+
+/**
+ * Read and parse a TOML data file.
+ * @param {string} filePath - Absolute `.toml` file path.
+ * @returns {unknown} Parsed TOML table.
+ */
+function readTomlFile(filePath) {
+    const rawContent = readFileSync(filePath, 'utf8');
+
+    try {
+        return parseToml(rawContent);
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        throw new Error(`Invalid TOML in ${filePath}: ${errorMessage}`);
+    }
+}
+
+/**
+ * Read a CSV data file with a header row into an array of row objects.
+ * @param {string} filePath - Absolute `.csv` file path.
+ * @returns {Record<string, string>[]} One object per data row, keyed by column header.
+ */
+function readCsvFile(filePath) {
+    const rawContent = readFileSync(filePath, 'utf8');
+
+    try {
+        return parseCsv(rawContent, { bom: true, columns: true, skip_empty_lines: true });
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        throw new Error(`Invalid CSV in ${filePath}: ${errorMessage}`);
+    }
+}
+
+/**
+ * Load any supported `src/data` file: static formats are parsed, JS modules are evaluated.
+ * @param {string} filePath - Absolute data file path.
+ * @returns {Promise<unknown>} Data value for `globalData`.
+ */
+export async function loadDataFile(filePath) {
+    switch (extname(filePath).toLowerCase()) {
+        case '.json': return readJsonFile(filePath);
+        case '.yaml':
+        case '.yml': return readYamlFile(filePath);
+        case '.toml': return readTomlFile(filePath);
+        case '.csv': return readCsvFile(filePath);
+        case '.js':
+        case '.mjs': return loadDataModule(filePath);
+        default: throw new Error(`Unsupported data file type: ${filePath}`);
+    }
+}
+
+/**
+ * Evaluate a JavaScript data module and resolve its default export.
+ * A function export is called with `args` and may be async. The module URL is keyed by the
+ * file's modification time and size, so pages sharing a data module evaluate it once and dev
+ * rebuilds see edits.
+ * @param {string} filePath - Absolute `.js` or `.mjs` file path.
+ * @param {unknown[]} [args=[]] - Arguments passed to a function export.
+ * @returns {Promise<unknown>} Resolved data value.
+ */
+export async function loadDataModule(filePath, args = []) {
+    /** @type {Record<string, unknown>} */
+    let moduleExports;
+    try {
+        const { mtimeMs, size } = statSync(filePath);
+        moduleExports = await import(`${pathToFileURL(filePath).href}?v=${mtimeMs}-${size}`);
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        throw new Error(`Failed to load data module ${filePath}: ${errorMessage}`);
+    }
+
+    if (!('default' in moduleExports)) {
+        throw new Error(`Missing default export in data module ${filePath}`);
+    }
+
+    const exportedValue = moduleExports.default;
+    if (typeof exportedValue !== 'function') {
+        return exportedValue;
+    }
+
+    try {
+        return await exportedValue(...args);
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        throw new Error(`Data module ${filePath} failed: ${errorMessage}`);
+    }
+}
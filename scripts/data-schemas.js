@@ -0,0 +1,83 @@
+import { existsSync } from 'node:fs';
+import { relative as pathRelative } from 'node:path';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { DATA_FILE_EXTENSIONS, readJsonFile } from './data-files.js';
+
+const CWD = process.cwd();
+const DATA_SCHEMA_SUFFIX = '.schema.json';
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Check whether a file is a JSON Schema for a global data file, e.g. `company.schema.json`.
+ * @param {string} filePath - File path.
+ * @returns {boolean} `true` for `.schema.json` files.
+ */
+export function isDataSchemaFile(filePath) {
+    return filePath.toLowerCase().endsWith(DATA_SCHEMA_SUFFIX);
+}
+
+/**
+ * Find the schema file that belongs to a data file.
+ * @param {string} dataFile - Absolute data file path, e.g. `src/data/company.json`.
+ * @param {string} extension - Data file extension, e.g. `.json`.
+ * @returns {string} Absolute schema path, or an empty string when the data file has no schema.
+ */
+function findDataSchemaFile(dataFile, extension) {
+    const schemaFile = `${dataFile.slice(0, -extension.length)}${DATA_SCHEMA_SUFFIX}`;
+    return existsSync(schemaFile) ? schemaFile : '';
+}
+
+/**
+ * Fail when a schema file in `src/data` does not belong to any data file,
+ * so a misspelled schema name never silently skips validation.
+ * @param {string} schemaFile - Absolute schema file path.
+ * @returns {void}
+ */
+export function assertDataSchemaHasDataFile(schemaFile) {
+    const basePath = schemaFile.slice(0, -DATA_SCHEMA_SUFFIX.length);
+    const hasDataFile = DATA_FILE_EXTENSIONS.some((extension) => existsSync(`${basePath}${extension}`));
+    if (hasDataFile) return;
+
+    const displayPath = normalizeSlashes(pathRelative(CWD, schemaFile));
+    throw new Error(`Schema ${displayPath} has no matching data file. Name it after the data file it validates, e.g. "company.schema.json" for "company.json".`);
+}
+
+/**
+ * Validate a loaded data value against the data file's co-located JSON Schema, if any.
+ * @param {string} dataFile - Absolute data file path.
+ * @param {string} extension - Data file extension, e.g. `.json`.
+ * @param {unknown} value - Parsed data value.
+ * @returns {void}
+ */
+export function validateDataValue(dataFile, extension, value) {
+    const schemaFile = findDataSchemaFile(dataFile, extension);
+    if (!schemaFile) return;
+
+    const dataDisplayPath = normalizeSlashes(pathRelative(CWD, dataFile));
+    const schemaDisplayPath = normalizeSlashes(pathRelative(CWD, schemaFile));
+    const schema = readJsonFile(schemaFile);
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv);
+
+    let validate;
+    try {
+        validate = ajv.compile(/** @type {import('ajv').AnySchema} */ (schema));
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        throw new Error(`Invalid JSON Schema in ${schemaDisplayPath}: ${errorMessage}`);
+    }
+
+    if (validate(value)) return;
+
+    const problems = (validate.errors ?? []).map((error) => `  ${error.instancePath || '/'}: ${error.message ?? 'is invalid'}`);
+    throw new Error(`Data in ${dataDisplayPath} does not match ${schemaDisplayPath}:\n${problems.join('\n')}`);
+}
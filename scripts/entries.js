@@ -0,0 +1,74 @@
+import { existsSync } from 'node:fs';
+import { extname, relative as pathRelative, resolve as pathResolve, sep } from 'node:path';
+
+const CWD = process.cwd();
+const SCRIPTS_DIR = pathResolve(CWD, 'src/assets/js');
+const STYLES_DIR = pathResolve(CWD, 'src/assets/css');
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.ts'];
+const STYLE_EXTENSIONS = ['.css'];
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Build the Vite URL of a source file. The dev server serves it directly; `vite build` bundles
+ * every script and stylesheet referenced this way and rewrites the URL to the hashed output.
+ * @param {string} filePath - Absolute source file path.
+ * @returns {string} `/@fs/` URL.
+ */
+export function toViteFsUrl(filePath) {
+    return `/@fs/${normalizeSlashes(filePath)}`;
+}
+
+/**
+ * Resolve an entry name to an existing file: scripts in `src/assets/js`, stylesheets in `src/assets/css`.
+ * @param {string} entryName - Entry path with extension, e.g. `pages/checkout.js` or `pages/checkout.css`.
+ * @param {string} displayPath - Project-relative template path for error messages.
+ * @returns {string} Absolute entry file path.
+ */
+export function resolveEntryPath(entryName, displayPath) {
+    const extension = extname(entryName).toLowerCase();
+    const isScript = SCRIPT_EXTENSIONS.includes(extension);
+    if (!isScript && !STYLE_EXTENSIONS.includes(extension)) {
+        throw new Error(
+            `Entry "${entryName}" in ${displayPath} must end with one of: ${[...SCRIPT_EXTENSIONS, ...STYLE_EXTENSIONS].join(', ')}`
+        );
+    }
+
+    const entriesDir = isScript ? SCRIPTS_DIR : STYLES_DIR;
+    const displayDir = normalizeSlashes(pathRelative(CWD, entriesDir));
+    const entryPath = pathResolve(entriesDir, entryName);
+    if (!entryPath.startsWith(`${entriesDir}${sep}`)) {
+        throw new Error(`Entry "${entryName}" in ${displayPath} must point to a file inside ${displayDir}`);
+    }
+    if (!existsSync(entryPath)) {
+        throw new Error(`Entry "${entryName}" used by ${displayPath} was not found at ${normalizeSlashes(pathRelative(CWD, entryPath))}`);
+    }
+
+    return entryPath;
+}
+
+/**
+ * Create the `entry()` template helper, which links a page to its own script or stylesheet
+ * so Vite can split bundles per page.
+ * @param {string} displayPath - Project-relative template path for error messages.
+ * @returns {(entryName: string) => string} Helper returning the entry URL.
+ */
+export function createEntryHelper(displayPath) {
+    return entry;
+
+    /**
+     * Resolve an entry to its Vite URL.
+     * @param {string} entryName - Entry path relative to `src/assets/js` or `src/assets/css`.
+     * @returns {string} URL for `<script src>` or `<link href>`.
+     */
+    function entry(entryName) {
+        return toViteFsUrl(resolveEntryPath(String(entryName), displayPath));
+    }
+}
@@ -0,0 +1,82 @@
+import { relative as pathRelative } from 'node:path';
+import { CompileErrors, TemplateError } from './template-errors.js';
+
+const CWD = process.cwd();
+
+/**
+ * @typedef {Object} ErrorLocation
+ * @property {string} file - Absolute file path.
+ * @property {number} line - 1-based line number.
+ * @property {number} [column] - 1-based column number, when known.
+ */
+
+/**
+ * @typedef {import('vite').ErrorPayload['err']} ErrorOverlayDetails
+ */
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Describe a template error for the overlay: the failing file and line, with the include chain
+ * in the message and the code snippet as the frame.
+ * @param {TemplateError} error - Structured template error.
+ * @returns {ErrorOverlayDetails} Overlay error details.
+ */
+function createTemplateErrorDetails(error) {
+    const chain = error.includeChain
+        .map((location) => normalizeSlashes(pathRelative(CWD, location.file)) + (location.line ? `:${location.line}` : ''))
+        .join(' → ');
+    /** @type {ErrorOverlayDetails} */
+    const details = {
+        message: error.includeChain.length > 1 ? `${error.reason}\n\nInclude chain: ${chain}` : error.reason,
+        // The stack repeats the message and snippet, which the overlay already shows.
+        stack: '',
+        plugin: 'ejs-live-reload',
+        id: error.file,
+        frame: error.snippet
+    };
+
+    if (!error.line) return details;
+    return { ...details, loc: { file: error.file, line: error.line, column: error.column ?? 1 } };
+}
+
+/**
+ * Describe a compile error for Vite's browser error overlay.
+ * Template errors point at the template that failed; other errors may carry their own `id`, `loc`
+ * and `frame` (as Vite and Rollup errors do). When several pages failed, the first one is shown.
+ * @param {unknown} err - Thrown value.
+ * @returns {ErrorOverlayDetails} Overlay error details.
+ */
+export function createErrorOverlayDetails(err) {
+    if (err instanceof CompileErrors) {
+        const details = createErrorOverlayDetails(err.errors[0]);
+        if (err.errors.length === 1) return details;
+        return { ...details, message: `${details.message}\n\n(${err.errors.length - 1} more failing pages are listed in the terminal.)` };
+    }
+    if (err instanceof TemplateError) return createTemplateErrorDetails(err);
+
+    const error = err instanceof Error ? err : new Error(String(err));
+    const { id, loc, frame } = /** @type {{ id?: string, loc?: ErrorLocation, frame?: string }} */ (error);
+    /** @type {ErrorOverlayDetails} */
+    const details = {
+        message: error.message,
+        stack: error.stack ?? '',
+        plugin: 'ejs-live-reload'
+    };
+
+    if (!loc) return id ? { ...details, id } : details;
+
+    return {
+        ...details,
+        id: loc.file,
+        loc: { file: loc.file, line: loc.line, column: loc.column ?? 1 },
+        frame: frame ?? ''
+    };
+}
@@ -0,0 +1,251 @@
+import { copyFileSync, existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { dirname, join, relative as pathRelative, resolve as pathResolve } from 'node:path';
+import * as esbuild from 'esbuild';
+import { findPageDataFile } from './page-data.js';
+import { findProjectConfigFile, getProjectConfigOverrides } from './project-config.js';
+import { listHelperFiles } from './template-helpers.js';
+
+const CWD = process.cwd();
+const CACHE_DIR = join(CWD, 'tmp/html-cache');
+const CACHE_PAGES_DIR = join(CACHE_DIR, 'pages');
+const MANIFEST_FILE = join(CACHE_DIR, 'manifest.json');
+const PACKAGE_JSON_FILE = new URL('../package.json', import.meta.url);
+// Bump when the cache layout or key inputs change, so old caches are ignored.
+const CACHE_FORMAT = 1;
+
+/**
+ * @typedef {Object} CachedPage
+ * @property {string[]} templates - Project-relative paths of the templates the page rendered.
+ * @property {string[]} dataKeys - Top-level `globalData` keys the page read.
+ * @property {string} key - Content hash of everything the page output depends on.
+ */
+
+/**
+ * @typedef {Object} HtmlCacheManifest
+ * @property {string} version - Cache format and ground-zero version that wrote the cache.
+ * @property {Record<string, CachedPage>} pages - Cached pages by output path.
+ */
+
+/**
+ * @typedef {Object} HtmlCache
+ * @property {(pageEntry: import('./compile-ejs.js').PageEntry, outPath: string) => import('./compile-ejs.js').PageDependencies | null} restore
+ * Copy a cached page to `outPath` when nothing it depends on changed; returns its dependencies, or `null` on a cache miss.
+ * @property {(pageEntry: import('./compile-ejs.js').PageEntry, outPath: string, dependencies: import('./compile-ejs.js').PageDependencies) => void} store
+ * Save a freshly compiled page to the cache.
+ * @property {() => void} save - Write the manifest and delete cached pages that are no longer used.
+ */
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Hash a string or buffer.
+ * @param {string | Buffer} value - Content to hash.
+ * @returns {string} Hex SHA-256 digest.
+ */
+function hash(value) {
+    return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Serialize a template value for hashing. Functions are hashed by their source, and `Map`,
+ * `Set` and `BigInt` values, which JSON cannot represent, are converted first.
+ * @param {unknown} value - Value to serialize.
+ * @returns {string | null} Serialized value, or `null` when it cannot be serialized (e.g. circular data).
+ */
+function serializeForHash(value) {
+    try {
+        return JSON.stringify(value, (key, entry) => {
+            if (typeof entry === 'function' || typeof entry === 'bigint') return `${typeof entry}:${String(entry)}`;
+            if (entry instanceof Map) return { map: Array.from(entry) };
+            if (entry instanceof Set) return { set: Array.from(entry) };
+            if (entry === undefined) return null;
+            return entry;
+        });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Hash the source of some modules and every module they import, including packages.
+ * Hashing only the exported functions would miss edits to the code they call.
+ * @param {string[]} entryFiles - Absolute module paths.
+ * @returns {string | null} Content hash, or `null` when the imports cannot be resolved.
+ */
+function hashModuleGraph(entryFiles) {
+    if (!entryFiles.length) return '';
+    try {
+        const { metafile } = esbuild.buildSync({
+            entryPoints: entryFiles,
+            absWorkingDir: CWD,
+            bundle: true,
+            write: false,
+            metafile: true,
+            platform: 'node',
+            format: 'esm',
+            outdir: CACHE_DIR,
+            logLevel: 'silent'
+        });
+        const inputFiles = Object.keys(metafile.inputs).sort();
+        return hash(inputFiles.map((inputFile) => `${inputFile}:${hash(readFileSync(pathResolve(CWD, inputFile)))}`).join('\n'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read the cache manifest left by the previous build.
+ * @param {string} version - Expected cache version.
+ * @returns {Record<string, CachedPage>} Cached pages by output path, empty when the cache is missing or outdated.
+ */
+function readManifest(version) {
+    if (!existsSync(MANIFEST_FILE)) return {};
+    try {
+        const manifest = /** @type {HtmlCacheManifest} */ (JSON.parse(readFileSync(MANIFEST_FILE, 'utf8')));
+        return manifest.version === version ? manifest.pages : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Open the production HTML cache in `tmp/html-cache`.
+ * A page is reused when its key still matches: the key hashes the page entry (route, params,
+ * collection item, pagination, locale), every template it rendered, its page data file, the
+ * `globalData` keys it read, and inputs shared by all pages (translations, build options,
+ * the config file and `src/helpers` modules with every module they import, which covers
+ * helpers and plugins, and the ground-zero version). Pages with a `.data.js` module are always recompiled, because
+ * the module may return different data on every run, and so are all pages when helpers or
+ * plugins come from Node API config overrides, whose source is unknown.
+ * @param {import('./compile-ejs.js').CompileInputs} inputs - Data shared by all pages of this build.
+ * @returns {HtmlCache} Cache handle for one build.
+ */
+export function openHtmlCache(inputs) {
+    const packageVersion = JSON.parse(readFileSync(PACKAGE_JSON_FILE, 'utf8')).version;
+    const version = `${CACHE_FORMAT}:${packageVersion}`;
+    const configFile = findProjectConfigFile();
+    const overrides = getProjectConfigOverrides() ?? {};
+    const modules = hashModuleGraph([...configFile ? [configFile] : [], ...listHelperFiles()]);
+    // Partials are covered per page: reading one from `partials` records it as a template dependency.
+    const sharedInputs = serializeForHash({
+        i18n: inputs.i18n,
+        options: inputs.options,
+        overrides,
+        modules
+    });
+    const canCache = sharedInputs !== null && modules !== null && !('helpers' in overrides) && !('plugins' in overrides);
+    const sharedKey = canCache ? hash(sharedInputs) : '';
+    const previousPages = readManifest(version);
+    /** @type {Record<string, CachedPage>} */
+    const nextPages = {};
+    /** @type {Map<string, string>} */
+    const fileHashes = new Map();
+
+    return { restore, store, save };
+
+    /**
+     * Hash a template file once per build.
+     * @param {string} filePath - Absolute file path.
+     * @returns {string} Content hash, or `missing` when the file is gone.
+     */
+    function hashFile(filePath) {
+        let fileHash = fileHashes.get(filePath);
+        if (!fileHash) {
+            fileHash = existsSync(filePath) ? hash(readFileSync(filePath)) : 'missing';
+            fileHashes.set(filePath, fileHash);
+        }
+        return fileHash;
+    }
+
+    /**
+     * Compute the cache key of a page from its current inputs.
+     * @param {import('./compile-ejs.js').PageEntry} pageEntry - Page entry.
+     * @param {Iterable<string>} templates - Absolute paths of the templates the page renders.
+     * @param {Iterable<string>} dataKeys - Top-level `globalData` keys the page reads.
+     * @returns {string} Cache key, or an empty string when the page cannot be cached.
+     */
+    function getPageKey(pageEntry, templates, dataKeys) {
+        const pageDataFile = findPageDataFile(pageEntry.templatePath);
+        if (!sharedKey || /\.m?js$/.test(pageDataFile)) return '';
+
+        const entry = serializeForHash({ ...pageEntry, templatePath: normalizeSlashes(pathRelative(CWD, pageEntry.templatePath)) });
+        if (entry === null) return '';
+
+        const parts = [sharedKey, entry, pageDataFile ? hashFile(pageDataFile) : ''];
+        for (const template of Array.from(new Set([pageEntry.templatePath, ...templates])).sort()) {
+            parts.push(`${normalizeSlashes(pathRelative(CWD, template))}:${hashFile(template)}`);
+        }
+        for (const dataKey of Array.from(new Set(dataKeys)).sort()) {
+            const value = serializeForHash(inputs.globalData[dataKey]);
+            if (value === null) return '';
+            parts.push(`${dataKey}:${hash(value)}`);
+        }
+
+        return hash(parts.join('\n'));
+    }
+
+    /**
+     * Copy a cached page to `outPath` when its key still matches.
+     * @param {import('./compile-ejs.js').PageEntry} pageEntry - Page entry.
+     * @param {string} outPath - Absolute output file path.
+     * @returns {import('./compile-ejs.js').PageDependencies | null} Recorded dependencies, or `null` on a cache miss.
+     */
+    function restore(pageEntry, outPath) {
+        const cachedPage = previousPages[pageEntry.outputRelativePath];
+        if (!cachedPage) return null;
+
+        const templates = cachedPage.templates.map((template) => pathResolve(CWD, template));
+        const key = getPageKey(pageEntry, templates, cachedPage.dataKeys);
+        const cachedFile = join(CACHE_PAGES_DIR, `${key}.html`);
+        if (!key || key !== cachedPage.key || !existsSync(cachedFile)) return null;
+
+        mkdirSync(dirname(outPath), { recursive: true });
+        copyFileSync(cachedFile, outPath);
+        nextPages[pageEntry.outputRelativePath] = cachedPage;
+        return { templates: new Set(templates), dataKeys: new Set(cachedPage.dataKeys) };
+    }
+
+    /**
+     * Save a freshly compiled page to the cache.
+     * @param {import('./compile-ejs.js').PageEntry} pageEntry - Page entry.
+     * @param {string} outPath - Absolute output file path.
+     * @param {import('./compile-ejs.js').PageDependencies} dependencies - Templates and data keys recorded while rendering.
+     * @returns {void}
+     */
+    function store(pageEntry, outPath, dependencies) {
+        const key = getPageKey(pageEntry, dependencies.templates, dependencies.dataKeys);
+        if (!key || !existsSync(outPath)) return;
+
+        mkdirSync(CACHE_PAGES_DIR, { recursive: true });
+        copyFileSync(outPath, join(CACHE_PAGES_DIR, `${key}.html`));
+        nextPages[pageEntry.outputRelativePath] = {
+            templates: Array.from(dependencies.templates, (template) => normalizeSlashes(pathRelative(CWD, template))),
+            dataKeys: Array.from(dependencies.dataKeys),
+            key
+        };
+    }
+
+    /**
+     * Write the manifest and delete cached pages that no output uses anymore.
+     * @returns {void}
+     */
+    function save() {
+        mkdirSync(CACHE_PAGES_DIR, { recursive: true });
+        /** @type {HtmlCacheManifest} */
+        const manifest = { version, pages: nextPages };
+        writeFileSync(MANIFEST_FILE, `${JSON.stringify(manifest, null, 2)}\n`);
+
+        const usedFiles = new Set(Object.values(nextPages).map((cachedPage) => `${cachedPage.key}.html`));
+        for (const fileName of readdirSync(CACHE_PAGES_DIR)) {
+            if (!usedFiles.has(fileName)) rmSync(join(CACHE_PAGES_DIR, fileName), { force: true });
+        }
+    }
+}
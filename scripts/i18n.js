@@ -0,0 +1,208 @@
+import { existsSync } from 'node:fs';
+import { join, relative as pathRelative } from 'node:path';
+import { loadProjectConfig } from './project-config.js';
+import { readJsonFile } from './data-files.js';
+
+const CWD = process.cwd();
+const LOCALES_DIR = join(CWD, 'src/locales');
+const LOCALE_CODE_RX = /^[A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+const PREFIX_STRATEGIES = ['all', 'except-default'];
+const TRANSLATION_PLACEHOLDER_RX = /\{(\w+)\}/g;
+
+/**
+ * @typedef {'all' | 'except-default'} LocalePrefixStrategy
+ */
+
+/**
+ * @typedef {Object} I18nConfig
+ * @property {string[]} locales - Locale codes, e.g. `['en', 'de']`.
+ * @property {string} defaultLocale - Locale used as translation fallback and `x-default` alternate.
+ * @property {LocalePrefixStrategy} prefix - `all` prefixes every locale; `except-default` keeps the default locale at the root.
+ */
+
+/**
+ * @typedef {I18nConfig & { messages: Map<string, Record<string, unknown>> }} I18nSetup
+ */
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Check whether a value is a plain object.
+ * @param {unknown} value - Unknown runtime value.
+ * @returns {value is Record<string, unknown>} `true` when the value is a plain object.
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate the optional `i18n` block of the ground-zero config.
+ * @param {unknown} value - Raw config value.
+ * @returns {I18nConfig | null} Normalized config, or `null` when the site has a single language.
+ */
+export function normalizeI18nConfig(value) {
+    if (value === undefined || value === null) return null;
+    if (!isPlainObject(value)) {
+        throw new Error('Expected "i18n" in ground-zero config to be an object');
+    }
+
+    const { locales, defaultLocale, prefix = 'all' } = value;
+    if (!Array.isArray(locales) || !locales.length) {
+        throw new Error('Expected "i18n.locales" in ground-zero config to be a non-empty array like ["en", "de"]');
+    }
+    for (const locale of locales) {
+        if (typeof locale !== 'string' || !LOCALE_CODE_RX.test(locale)) {
+            throw new Error(`Invalid locale ${JSON.stringify(locale)} in "i18n.locales"; use codes like "en" or "pt-BR"`);
+        }
+    }
+    if (new Set(locales).size !== locales.length) {
+        throw new Error('"i18n.locales" in ground-zero config must not contain duplicates');
+    }
+    if (typeof defaultLocale !== 'string' || !locales.includes(defaultLocale)) {
+        throw new Error('Expected "i18n.defaultLocale" in ground-zero config to be one of "i18n.locales"');
+    }
+    if (typeof prefix !== 'string' || !PREFIX_STRATEGIES.includes(prefix)) {
+        throw new Error(`Expected "i18n.prefix" in ground-zero config to be one of: ${PREFIX_STRATEGIES.join(', ')}`);
+    }
+
+    return {
+        locales: [...locales],
+        defaultLocale,
+        prefix: /** @type {LocalePrefixStrategy} */ (prefix)
+    };
+}
+
+/**
+ * Read the translation dictionary of every configured locale from `src/locales/<locale>.json`.
+ * @param {I18nConfig} config - Normalized i18n config.
+ * @returns {Map<string, Record<string, unknown>>} Dictionaries by locale.
+ */
+function readLocaleMessages(config) {
+    /** @type {Map<string, Record<string, unknown>>} */
+    const messages = new Map();
+
+    for (const locale of config.locales) {
+        const localeFile = join(LOCALES_DIR, `${locale}.json`);
+        const displayPath = normalizeSlashes(pathRelative(CWD, localeFile));
+        if (!existsSync(localeFile)) {
+            throw new Error(`Missing translation file ${displayPath} for locale "${locale}"`);
+        }
+
+        const dictionary = readJsonFile(localeFile);
+        if (!isPlainObject(dictionary)) {
+            throw new Error(`Expected translations in ${displayPath} to be an object`);
+        }
+        messages.set(locale, dictionary);
+    }
+
+    return messages;
+}
+
+/**
+ * Load the i18n config and translation dictionaries.
+ * @returns {Promise<I18nSetup | null>} Locales with their dictionaries, or `null` when `i18n` is not configured.
+ */
+export async function loadI18n() {
+    const userConfig = await loadProjectConfig();
+    const config = normalizeI18nConfig(userConfig.i18n);
+    if (!config) return null;
+
+    return { ...config, messages: readLocaleMessages(config) };
+}
+
+/**
+ * Check whether a locale gets a URL prefix under the configured strategy.
+ * @param {string} locale - Locale code.
+ * @param {I18nConfig} config - Normalized i18n config.
+ * @returns {boolean} `true` when routes of that locale start with `/<locale>/`.
+ */
+function hasLocalePrefix(locale, config) {
+    return config.prefix === 'all' || locale !== config.defaultLocale;
+}
+
+/**
+ * Prefix an internal root-relative path with a locale segment, e.g. `/about/` → `/de/about/`.
+ * Anchors, external URLs and protocol-relative URLs are returned unchanged.
+ * @param {string} value - Internal path without locale and base path.
+ * @param {string} locale - Target locale.
+ * @param {I18nConfig} config - Normalized i18n config.
+ * @returns {string} Locale-prefixed path.
+ */
+export function localizePath(value, locale, config) {
+    const normalizedValue = String(value ?? '').trim().replaceAll('\\', '/');
+    if (normalizedValue.startsWith('#') || normalizedValue.startsWith('//') || /^[a-z][a-z\d+.-]*:/i.test(normalizedValue)) {
+        return normalizedValue;
+    }
+
+    const rootPath = normalizedValue.startsWith('/') ? normalizedValue : `/${normalizedValue}`;
+    if (!hasLocalePrefix(locale, config)) return rootPath;
+    return rootPath === '/' ? `/${locale}/` : `/${locale}${rootPath}`;
+}
+
+/**
+ * Move a page output file into its locale folder, e.g. `about/index.html` → `de/about/index.html`.
+ * @param {string} outputRelativePath - Output path without locale.
+ * @param {string} locale - Target locale.
+ * @param {I18nConfig} config - Normalized i18n config.
+ * @returns {string} Locale-specific output path.
+ */
+export function localizeOutputPath(outputRelativePath, locale, config) {
+    return hasLocalePrefix(locale, config) ? `${locale}/${outputRelativePath}` : outputRelativePath;
+}
+
+/**
+ * Look up a dotted key such as `nav.home` in a translation dictionary.
+ * @param {Record<string, unknown> | undefined} dictionary - Translation dictionary.
+ * @param {string} key - Dotted translation key.
+ * @returns {unknown} Translation, or `undefined` when missing.
+ */
+function getMessage(dictionary, key) {
+    /** @type {unknown} */
+    let current = dictionary;
+    for (const segment of key.split('.')) {
+        if (!isPlainObject(current)) return undefined;
+        current = current[segment];
+    }
+    return current;
+}
+
+/**
+ * Create the `t()` template helper for one locale.
+ * Missing keys fall back to the default locale; `{name}` placeholders are filled from `values`.
+ * @param {I18nSetup} setup - Locales with their dictionaries.
+ * @param {string} locale - Locale of the page being rendered.
+ * @returns {(key: string, values?: Record<string, unknown>) => string} Translation helper.
+ */
+export function createTranslator(setup, locale) {
+    return translate;
+
+    /**
+     * Translate a dotted key for the current locale.
+     * @param {string} key - Dotted translation key, e.g. `nav.home`.
+     * @param {Record<string, unknown>} [values] - Placeholder values.
+     * @returns {string} Translated text.
+     */
+    function translate(key, values) {
+        const message = getMessage(setup.messages.get(locale), key)
+            ?? getMessage(setup.messages.get(setup.defaultLocale), key);
+
+        if (message === undefined) {
+            throw new Error(`Missing translation "${key}" for locale "${locale}" in src/locales/${locale}.json`);
+        }
+        if (typeof message !== 'string') {
+            throw new Error(`Translation "${key}" for locale "${locale}" must be a string`);
+        }
+        if (!values) return message;
+
+        return message.replace(TRANSLATION_PLACEHOLDER_RX, (placeholder, name) => (
+            name in values ? String(values[name]) : placeholder
+        ));
+    }
+}
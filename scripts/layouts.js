@@ -0,0 +1,44 @@
+import { existsSync } from 'node:fs';
+import { relative as pathRelative, resolve as pathResolve, sep } from 'node:path';
+
+const CWD = process.cwd();
+const LAYOUTS_DIR = pathResolve(CWD, 'src/layouts');
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Map a layout name such as `base` or `docs/page` to its path in `src/layouts`.
+ * @param {string} layoutName - Layout name, with or without the `.ejs` extension.
+ * @returns {string} Absolute layout file path, or an empty string when the name leaves `src/layouts`.
+ */
+export function getLayoutPath(layoutName) {
+    const fileName = layoutName.endsWith('.ejs') ? layoutName : `${layoutName}.ejs`;
+    const layoutPath = pathResolve(LAYOUTS_DIR, fileName);
+    return layoutPath.startsWith(`${LAYOUTS_DIR}${sep}`) ? layoutPath : '';
+}
+
+/**
+ * Resolve a layout name to an existing file in `src/layouts`.
+ * @param {string} layoutName - Layout name from a page.
+ * @param {string} displayPath - Project-relative page path for error messages.
+ * @returns {string} Absolute layout file path.
+ */
+export function resolveLayoutPath(layoutName, displayPath) {
+    const layoutPath = getLayoutPath(layoutName);
+
+    if (!layoutPath) {
+        throw new Error(`Layout "${layoutName}" in ${displayPath} must point to a file inside src/layouts`);
+    }
+    if (!existsSync(layoutPath)) {
+        throw new Error(`Layout "${layoutName}" used by ${displayPath} was not found at ${normalizeSlashes(pathRelative(CWD, layoutPath))}`);
+    }
+
+    return layoutPath;
+}
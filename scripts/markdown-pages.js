@@ -0,0 +1,103 @@
+import { readFileSync } from 'node:fs';
+import { extname, relative as pathRelative } from 'node:path';
+import { marked } from 'marked';
+import { parse as parseYaml } from 'yaml';
+import { resolveLayoutPath } from './layouts.js';
+
+const CWD = process.cwd();
+const FRONT_MATTER_RX = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * @typedef {Object} MarkdownPage
+ * @property {Record<string, unknown>} frontMatter
+ * @property {string} layoutPath
+ * @property {string} markdown
+ */
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Check whether a value is a plain object.
+ * @param {unknown} value - Unknown runtime value.
+ * @returns {value is Record<string, unknown>} `true` when the value is a plain object.
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a file is a Markdown page.
+ * @param {string} filePath - File path.
+ * @returns {boolean} `true` for `.md` files.
+ */
+export function isMarkdownFile(filePath) {
+    return extname(filePath).toLowerCase() === '.md';
+}
+
+/**
+ * Split a Markdown file into parsed YAML front matter and its Markdown body.
+ * @param {string} filePath - Absolute Markdown file path.
+ * @returns {{ frontMatter: Record<string, unknown>, markdown: string }} Parsed file parts.
+ */
+export function readMarkdownFile(filePath) {
+    const source = readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const displayPath = normalizeSlashes(pathRelative(CWD, filePath));
+    const match = FRONT_MATTER_RX.exec(source);
+    if (!match) {
+        return { frontMatter: {}, markdown: source };
+    }
+
+    let frontMatter;
+    try {
+        frontMatter = parseYaml(match[1]);
+    } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        throw new Error(`Invalid front matter in ${displayPath}: ${message}`);
+    }
+
+    if (frontMatter !== null && frontMatter !== undefined && !isPlainObject(frontMatter)) {
+        throw new Error(`Expected front matter in ${displayPath} to be a YAML mapping`);
+    }
+
+    return {
+        frontMatter: frontMatter ?? {},
+        markdown: source.slice(match[0].length)
+    };
+}
+
+/**
+ * Read a Markdown page and resolve the layout named in its front matter.
+ * @param {string} filePath - Absolute Markdown file path.
+ * @returns {MarkdownPage} Front matter, layout path and Markdown body.
+ */
+export function readMarkdownPage(filePath) {
+    const displayPath = normalizeSlashes(pathRelative(CWD, filePath));
+    const { frontMatter, markdown } = readMarkdownFile(filePath);
+    const layoutName = frontMatter.layout;
+
+    if (typeof layoutName !== 'string' || !layoutName.trim()) {
+        throw new Error(`Missing "layout" in the front matter of ${displayPath}`);
+    }
+
+    return {
+        frontMatter,
+        layoutPath: resolveLayoutPath(layoutName.trim(), displayPath),
+        markdown
+    };
+}
+
+/**
+ * Render a Markdown body to HTML.
+ * @param {string} markdown - Markdown source without front matter.
+ * @returns {string} Rendered HTML.
+ */
+export function renderMarkdown(markdown) {
+    return /** @type {string} */ (marked.parse(markdown, { async: false }));
+}
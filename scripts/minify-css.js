@@ -1,8 +1,9 @@
 import { readdirSync, readFileSync, writeFileSync, statSync } from 'node:fs';
-import { join } from 'node:path';
+import { join, relative as pathRelative } from 'node:path';
 import { pathToFileURL } from 'node:url';
 import * as esbuild from 'esbuild';
 import { applyPageScalingToCss, loadPageScalingConfig } from './page-scaling.js';
+import { loadPlugins, transformBuildCss } from './plugins.js';
 
 const CWD = process.cwd();
 const BUILD_DIR = join(CWD, 'build');
@@ -36,11 +37,15 @@ function findCssFiles(dir) {
  * Minify a CSS file using esbuild
  * @param {string} filePath - Path to the CSS file to process
  * @param {{ enabled: boolean, minWidth: number, precision: number }} pageScalingConfig - Effective page scaling settings
+ * @param {import('./plugins.js').GroundZeroPlugin[]} plugins - Plugins whose `transformCss` hooks run before minification
+ * @param {string} buildDir - Absolute build directory
  * @returns {Promise<void>}
  */
-async function minifyCssFile(filePath, pageScalingConfig) {
+async function minifyCssFile(filePath, pageScalingConfig, plugins, buildDir) {
     try {
-        let css = readFileSync(filePath, 'utf8');
+        let css = await transformBuildCss(plugins, readFileSync(filePath, 'utf8'), {
+            filePath: pathRelative(buildDir, filePath).replaceAll('\\', '/')
+        });
 
         if (pageScalingConfig.enabled) {
             const scaledCss = applyPageScalingToCss(css, pageScalingConfig);
@@ -65,10 +70,12 @@ async function minifyCssFile(filePath, pageScalingConfig) {
 
 /**
  * Minify all CSS files in the build directory
+ * @param {string} [buildDir] - Absolute build directory, defaults to `build/`.
+ * @param {import('./plugins.js').GroundZeroPlugin[]} [plugins] - Plugins loaded by the caller; loaded from config when omitted.
  * @returns {Promise<void>}
  */
-async function minifyAllCss() {
-    const cssFiles = findCssFiles(BUILD_DIR);
+export async function minifyAllCss(buildDir = BUILD_DIR, plugins) {
+    const cssFiles = findCssFiles(buildDir);
 
     if (cssFiles.length === 0) {
         console.log('No CSS files found in build/ directory');
@@ -76,6 +83,7 @@ async function minifyAllCss() {
     }
 
     const pageScalingConfig = await loadPageScalingConfig();
+    const projectPlugins = plugins ?? await loadPlugins();
 
     console.log(`Found ${cssFiles.length} CSS file(s) to minify`);
     if (pageScalingConfig.enabled) {
@@ -83,14 +91,14 @@ async function minifyAllCss() {
     }
 
     for (const file of cssFiles) {
-        await minifyCssFile(file, pageScalingConfig);
+        await minifyCssFile(file, pageScalingConfig, projectPlugins, buildDir);
     }
 
     console.log('CSS minification complete');
 }
 
 // CLI entry: `node scripts/minify-css.js`
-if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
     minifyAllCss().catch((err) => {
         console.error(err);
         process.exitCode = 1;
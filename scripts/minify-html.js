@@ -53,10 +53,11 @@ async function minifyHtmlFile(filePath) {
 
 /**
  * Minify all HTML files in the build directory.
+ * @param {string} [buildDir] - Absolute build directory, defaults to `build/`.
  * @returns {Promise<void>}
  */
-async function minifyAllHtml() {
-    const htmlFiles = findHtmlFiles(BUILD_DIR);
+export async function minifyAllHtml(buildDir = BUILD_DIR) {
+    const htmlFiles = findHtmlFiles(buildDir);
 
     if (htmlFiles.length === 0) {
         console.log('No HTML files found in build/ directory');
@@ -73,7 +74,7 @@ async function minifyAllHtml() {
 }
 
 // CLI entry: `node scripts/minify-html.js`
-if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
     minifyAllHtml().catch((err) => {
         console.error(err);
         process.exitCode = 1;
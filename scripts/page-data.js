@@ -0,0 +1,124 @@
+import { existsSync } from 'node:fs';
+import { relative as pathRelative } from 'node:path';
+import { loadDataModule, readJsonFile } from './data-files.js';
+
+const CWD = process.cwd();
+const PAGE_EXTENSIONS = ['.ejs', '.md'];
+const PAGE_DATA_EXTENSIONS = ['.data.json', '.data.js', '.data.mjs'];
+const PAGE_DATA_FILE_RX = /\.data\.(?:json|m?js)$/i;
+const RESERVED_PAGE_KEYS = new Set(['route', 'outputPath', 'templatePath', 'params']);
+
+/**
+ * Route and file information every template receives as `page`, merged with co-located page data.
+ * @typedef {Object} PageContext
+ * @property {string} route - Public route without the deploy base path, e.g. `/about/`.
+ * @property {string} outputPath - HTML output path relative to the build root, e.g. `about/index.html`.
+ * @property {string} templatePath - Template path relative to `src/pages` or `src/content`.
+ * @property {Record<string, string>} params - Route parameter values of dynamic pages.
+ */
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Check whether a value is a plain object.
+ * @param {unknown} value - Unknown runtime value.
+ * @returns {value is Record<string, unknown>} `true` when the value is a plain object.
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a file is a co-located page data file such as `about.data.json`.
+ * @param {string} filePath - File path.
+ * @returns {boolean} `true` for `.data.json`, `.data.js` and `.data.mjs` files.
+ */
+export function isPageDataFile(filePath) {
+    return PAGE_DATA_FILE_RX.test(filePath);
+}
+
+/**
+ * Find the page data file next to a page template.
+ * @param {string} pageFile - Absolute page file path.
+ * @returns {string} Absolute data file path, or an empty string when the page has none.
+ */
+export function findPageDataFile(pageFile) {
+    const basePath = pageFile.replace(/\.(?:ejs|md)$/i, '');
+    const dataFiles = PAGE_DATA_EXTENSIONS
+        .map((extension) => `${basePath}${extension}`)
+        .filter((dataFile) => existsSync(dataFile));
+
+    if (dataFiles.length > 1) {
+        const fileList = dataFiles.map((dataFile) => normalizeSlashes(pathRelative(CWD, dataFile))).join(', ');
+        throw new Error(`Only one page data file is allowed per page, found: ${fileList}`);
+    }
+
+    return dataFiles[0] ?? '';
+}
+
+/**
+ * Resolve the page template that owns a page data file.
+ * @param {string} dataFile - Absolute page data file path.
+ * @returns {string} Absolute page file path, or an empty string when no page matches.
+ */
+export function getPageDataOwner(dataFile) {
+    const basePath = dataFile.replace(PAGE_DATA_FILE_RX, '');
+    for (const extension of PAGE_EXTENSIONS) {
+        const pageFile = `${basePath}${extension}`;
+        if (existsSync(pageFile)) return pageFile;
+    }
+
+    return '';
+}
+
+/**
+ * Build the `page` template variable from route info and the page's co-located data file.
+ * JS data files may export a (sync or async) function that receives the route info, the
+ * collection item of dynamic pages and the page locale.
+ * @param {string} pageFile - Absolute page file path.
+ * @param {{
+ *   route: string,
+ *   outputRelativePath: string,
+ *   templateRelativePath: string,
+ *   params: Record<string, string>,
+ *   item: unknown,
+ *   locale: string | undefined
+ * }} pageEntry
+ * Resolved page entry.
+ * @returns {Promise<PageContext & Record<string, unknown>>} Page context object.
+ */
+export async function loadPageContext(pageFile, pageEntry) {
+    /** @type {PageContext} */
+    const pageInfo = {
+        route: pageEntry.route,
+        outputPath: pageEntry.outputRelativePath,
+        templatePath: pageEntry.templateRelativePath,
+        params: pageEntry.params
+    };
+    const dataFile = findPageDataFile(pageFile);
+    if (!dataFile) return pageInfo;
+
+    const data = dataFile.endsWith('.json')
+        ? readJsonFile(dataFile)
+        : await loadDataModule(dataFile, [{ ...pageInfo, item: pageEntry.item, locale: pageEntry.locale }]);
+    const displayPath = normalizeSlashes(pathRelative(CWD, dataFile));
+
+    if (!isPlainObject(data)) {
+        throw new Error(`Expected page data in ${displayPath} to be an object`);
+    }
+
+    for (const key of Object.keys(data)) {
+        if (RESERVED_PAGE_KEYS.has(key)) {
+            throw new Error(`Page data in ${displayPath} must not define "${key}"; it is reserved for route info on \`page\`.`);
+        }
+    }
+
+    return { ...data, ...pageInfo };
+}
@@ -1,4 +1,15 @@
-import { relative as pathRelative } from 'node:path';
+import { posix, relative as pathRelative } from 'node:path';
+
+const ROUTE_PARAM_SEGMENT_RX = /^\[([A-Za-z_$][\w$]*)\]$/;
+const PAGE_EXTENSION_RX = /\.(?:ejs|md)$/i;
+
+/**
+ * @typedef {Object} PagePathInfo
+ * @property {string} route
+ * @property {string} outputRelativePath
+ * @property {string} templateRelativePath
+ * @property {Record<string, string>} params
+ */
 
 /**
  * Normalize Windows separators for URL and relative path usage.
@@ -9,21 +20,79 @@ function normalizeSlashes(value) {
     return value.replaceAll('\\', '/');
 }
 
+/**
+ * List the `[param]` names used by a dynamic page template path.
+ * Example: `blog/[slug].ejs` returns `['slug']`.
+ * @param {string} templateRelativePath - Page path relative to `src/pages`.
+ * @returns {string[]} Route parameter names in path order.
+ */
+export function getRouteParamNames(templateRelativePath) {
+    /** @type {string[]} */
+    const names = [];
+    const routePath = normalizeSlashes(templateRelativePath).replace(PAGE_EXTENSION_RX, '');
+
+    for (const segment of routePath.split('/')) {
+        const match = ROUTE_PARAM_SEGMENT_RX.exec(segment);
+        if (match) names.push(match[1]);
+    }
+
+    return names;
+}
+
+/**
+ * Replace `[param]` segments with concrete route parameter values.
+ * @param {string} routePath - Template path without extension.
+ * @param {string} templateRelativePath - Page path relative to `src/pages`, for error messages.
+ * @param {Record<string, string>} params - Route parameter values.
+ * @returns {string} Route path with every parameter filled in.
+ */
+function fillRouteParams(routePath, templateRelativePath, params) {
+    return routePath
+        .split('/')
+        .map(fillSegment)
+        .join('/');
+
+    /**
+     * Fill one path segment when it is a route parameter.
+     * @param {string} segment - Path segment.
+     * @returns {string} Concrete path segment.
+     */
+    function fillSegment(segment) {
+        const match = ROUTE_PARAM_SEGMENT_RX.exec(segment);
+        if (!match) return segment;
+
+        const value = params[match[1]];
+        if (typeof value !== 'string' || !value.trim()) {
+            throw new Error(`Missing route parameter "${match[1]}" for "${templateRelativePath}".`);
+        }
+        if (value === '.' || value === '..' || /[\\/]/.test(value)) {
+            throw new Error(
+                `Invalid route parameter "${match[1]}" value "${value}" for "${templateRelativePath}"; `
+                + 'values must be a single URL segment.'
+            );
+        }
+
+        return value;
+    }
+}
+
 /**
  * Resolve a page file into its public route and HTML output path.
- * @param {string} pagesDir - Absolute `src/pages` directory.
+ * @param {string} pagesDir - Absolute page root, `src/pages` or `src/content`.
  * @param {string} pageFile - Absolute page file path.
- * @returns {{ route: string, outputRelativePath: string, templateRelativePath: string }}
+ * @param {Record<string, string>} [params={}] - Values for `[param]` segments of dynamic pages.
+ * @returns {PagePathInfo}
  */
-export function getPagePathInfo(pagesDir, pageFile) {
+export function getPagePathInfo(pagesDir, pageFile, params = {}) {
     const templateRelativePath = normalizeSlashes(pathRelative(pagesDir, pageFile));
-    const routePath = templateRelativePath.replace(/\.ejs$/i, '');
+    const routePath = fillRouteParams(templateRelativePath.replace(PAGE_EXTENSION_RX, ''), templateRelativePath, params);
 
     if (routePath === 'index') {
         return {
             route: '/',
             outputRelativePath: 'index.html',
-            templateRelativePath
+            templateRelativePath,
+            params
         };
     }
 
@@ -31,38 +100,71 @@ export function getPagePathInfo(pagesDir, pageFile) {
         return {
             route: encodeURI(`/${routePath.slice(0, -'/index'.length)}/`),
             outputRelativePath: `${routePath}.html`,
-            templateRelativePath
+            templateRelativePath,
+            params
         };
     }
 
     return {
         route: encodeURI(`/${routePath}/`),
         outputRelativePath: `${routePath}/index.html`,
-        templateRelativePath
+        templateRelativePath,
+        params
     };
 }
 
 /**
- * Fail fast when two templates target the same output HTML file.
- * @param {string} pagesDir - Absolute `src/pages` directory.
- * @param {string[]} pageFiles - Absolute page file paths.
+ * Derive the route and output path of a follow-up page of a paginated list.
+ * Page 1 keeps the template route; page N lives at `<route>page/N/`.
+ * @param {PagePathInfo} pageInfo - Path info of the paginated template.
+ * @param {number} pageNumber - 1-based page number.
+ * @returns {PagePathInfo} Path info for that page.
+ */
+export function getPaginatedPagePathInfo(pageInfo, pageNumber) {
+    if (pageNumber === 1) return pageInfo;
+
+    const outputDir = posix.dirname(pageInfo.outputRelativePath);
+    const pageDir = outputDir === '.' ? `page/${pageNumber}` : `${outputDir}/page/${pageNumber}`;
+
+    return {
+        ...pageInfo,
+        route: `${pageInfo.route}page/${pageNumber}/`,
+        outputRelativePath: `${pageDir}/index.html`
+    };
+}
+
+/**
+ * Describe a page for error messages, including route parameters of generated pages.
+ * @param {PagePathInfo} pageInfo - Resolved page path info.
+ * @returns {string} Human-readable page label.
+ */
+function describePage(pageInfo) {
+    const paramEntries = Object.entries(pageInfo.params);
+    if (!paramEntries.length) return `"${pageInfo.templateRelativePath}"`;
+
+    const paramList = paramEntries.map(([name, value]) => `${name}: "${value}"`).join(', ');
+    return `"${pageInfo.templateRelativePath}" (${paramList})`;
+}
+
+/**
+ * Fail fast when two pages target the same output HTML file.
+ * @param {PagePathInfo[]} pages - Resolved pages, including generated dynamic routes.
  * @returns {void}
  */
-export function assertNoPageOutputCollisions(pagesDir, pageFiles) {
-    /** @type {Map<string, string>} */
+export function assertNoPageOutputCollisions(pages) {
+    /** @type {Map<string, PagePathInfo>} */
     const seenOutputs = new Map();
 
-    for (const pageFile of pageFiles) {
-        const pageInfo = getPagePathInfo(pagesDir, pageFile);
+    for (const pageInfo of pages) {
         const existingPage = seenOutputs.get(pageInfo.outputRelativePath);
         if (!existingPage) {
-            seenOutputs.set(pageInfo.outputRelativePath, pageInfo.templateRelativePath);
+            seenOutputs.set(pageInfo.outputRelativePath, pageInfo);
             continue;
         }
 
         throw new Error(
-            `Ground Zero cannot continue because "${existingPage}" and "${pageInfo.templateRelativePath}" `
-            + `both map to "${pageInfo.outputRelativePath}". Rename one of those page files so each page has its own URL.`
+            `Ground Zero cannot continue because ${describePage(existingPage)} and ${describePage(pageInfo)} `
+            + `both map to "${pageInfo.outputRelativePath}". Rename one of those page files or collection items so each page has its own URL.`
         );
     }
 }
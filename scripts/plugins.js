@@ -0,0 +1,239 @@
+import { loadProjectConfig } from './project-config.js';
+
+const PLUGIN_HOOKS = ['beforeCompile', 'transformHtml', 'afterViteBuild', 'transformCss', 'afterBuild'];
+const PLUGIN_KEYS = new Set(['name', 'helpers', 'vitePlugins', ...PLUGIN_HOOKS]);
+
+/**
+ * @typedef {'beforeCompile' | 'afterViteBuild' | 'afterBuild'} BuildHookName
+ */
+
+/**
+ * @typedef {'transformHtml' | 'transformCss'} TransformHookName
+ */
+
+/**
+ * @typedef {Object} BuildHookContext
+ * @property {string} outDir - Absolute build directory.
+ * @property {string} basePath - Normalized deploy base path.
+ * @property {string[]} [pages] - Built HTML pages relative to `outDir` (`afterBuild` only).
+ * @property {string[]} [images] - Emitted responsive images relative to `outDir` (`afterBuild` only).
+ */
+
+/**
+ * @typedef {Object} HtmlHookContext
+ * @property {string} outputPath - Output path of the page, e.g. `about/index.html`.
+ * @property {string} templatePath - Project-relative page template path.
+ * @property {string | undefined} locale - Page locale on multi-language sites.
+ */
+
+/**
+ * @typedef {Object} CssHookContext
+ * @property {string} filePath - CSS file path relative to the build directory.
+ */
+
+/**
+ * @typedef {Object} GroundZeroPlugin
+ * @property {string} name - Plugin name used in error messages.
+ * @property {Record<string, Function>} [helpers] - Functions added to every template, e.g. `{ year: () => 2025 }`.
+ * @property {import('vite').PluginOption[]} [vitePlugins] - Vite plugins added to the dev server and build.
+ * @property {(context: BuildHookContext) => unknown} [beforeCompile] - Runs before production pages are compiled.
+ * @property {(html: string, context: HtmlHookContext) => unknown} [transformHtml] - Rewrites the HTML of each compiled page.
+ * @property {(context: BuildHookContext) => unknown} [afterViteBuild] - Runs after Vite bundled the production build.
+ * @property {(css: string, context: CssHookContext) => unknown} [transformCss] - Rewrites each built CSS file before minification.
+ * @property {(context: BuildHookContext) => unknown} [afterBuild] - Runs when the production build is complete.
+ */
+
+/**
+ * The parts of a plugin used while rendering pages; helpers are merged by `loadTemplateHelpers()`.
+ * @typedef {Pick<GroundZeroPlugin, 'name' | 'transformHtml'>} PagePlugin
+ */
+
+/**
+ * Check whether a value is a plain object.
+ * @param {unknown} value - Unknown runtime value.
+ * @returns {value is Record<string, unknown>} `true` when the value is a plain object.
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate one entry of the `plugins` config array.
+ * @param {unknown} value - Raw plugin.
+ * @param {number} index - Position in the array, for error messages.
+ * @returns {GroundZeroPlugin} Validated plugin.
+ */
+function normalizePlugin(value, index) {
+    if (!isPlainObject(value)) {
+        throw new Error(`Expected "plugins[${index}]" in ground-zero config to be an object like { name: "my-plugin" }`);
+    }
+    if (typeof value.name !== 'string' || !value.name.trim()) {
+        throw new Error(`Expected "plugins[${index}].name" in ground-zero config to be a non-empty string`);
+    }
+
+    const label = `plugin "${value.name}"`;
+    for (const key of Object.keys(value)) {
+        if (!PLUGIN_KEYS.has(key)) {
+            throw new Error(`Unsupported key "${key}" in ${label}; use one of: ${Array.from(PLUGIN_KEYS).join(', ')}`);
+        }
+    }
+    for (const hookName of PLUGIN_HOOKS) {
+        if (value[hookName] !== undefined && typeof value[hookName] !== 'function') {
+            throw new Error(`Expected "${hookName}" of ${label} to be a function`);
+        }
+    }
+    if (value.helpers !== undefined) {
+        if (!isPlainObject(value.helpers)) {
+            throw new Error(`Expected "helpers" of ${label} to be an object of functions`);
+        }
+        for (const [helperName, helper] of Object.entries(value.helpers)) {
+            if (typeof helper !== 'function') {
+                throw new Error(`Expected helper "${helperName}" of ${label} to be a function`);
+            }
+        }
+    }
+    if (value.vitePlugins !== undefined && !Array.isArray(value.vitePlugins)) {
+        throw new Error(`Expected "vitePlugins" of ${label} to be an array of Vite plugins`);
+    }
+
+    return /** @type {GroundZeroPlugin} */ (value);
+}
+
+/**
+ * Validate the optional `plugins` array of the ground-zero config.
+ * @param {unknown} value - Raw config value.
+ * @returns {GroundZeroPlugin[]} Plugins in config order.
+ */
+export function normalizePlugins(value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        throw new Error('Expected "plugins" in ground-zero config to be an array');
+    }
+
+    const plugins = value.map(normalizePlugin);
+    const names = new Set();
+    for (const plugin of plugins) {
+        if (names.has(plugin.name)) {
+            throw new Error(`Plugin name "${plugin.name}" is used twice in ground-zero config`);
+        }
+        names.add(plugin.name);
+    }
+    return plugins;
+}
+
+/**
+ * Load the plugins of the project config.
+ * @returns {Promise<GroundZeroPlugin[]>} Plugins in config order.
+ */
+export async function loadPlugins() {
+    const userConfig = await loadProjectConfig();
+    return normalizePlugins(userConfig.plugins);
+}
+
+/**
+ * Keep the plugins that transform page HTML, with only the keys rendering needs.
+ * @param {GroundZeroPlugin[]} plugins - Validated plugins.
+ * @returns {PagePlugin[]} Plugins with an HTML transform.
+ */
+export function getPagePlugins(plugins) {
+    return plugins
+        .filter((plugin) => plugin.transformHtml)
+        .map((plugin) => ({ name: plugin.name, transformHtml: plugin.transformHtml }));
+}
+
+/**
+ * Collect the Vite plugins added by ground-zero plugins.
+ * @param {GroundZeroPlugin[]} plugins - Validated plugins.
+ * @returns {import('vite').PluginOption[]} Vite plugins in config order.
+ */
+export function getVitePlugins(plugins) {
+    return plugins.flatMap((plugin) => plugin.vitePlugins ?? []);
+}
+
+/**
+ * Prefix a hook failure with the plugin and hook that threw it.
+ * @param {unknown} err - Thrown value.
+ * @param {string} pluginName - Plugin name.
+ * @param {string} hookName - Hook name, optionally with the file it ran for.
+ * @returns {Error} Wrapped error.
+ */
+function toPluginError(err, pluginName, hookName) {
+    const message = err instanceof Error ? err.message : String(err);
+    return new Error(`Plugin "${pluginName}" failed in ${hookName}: ${message}`, { cause: err });
+}
+
+/**
+ * Run a build stage hook of every plugin, one after another in config order.
+ * @param {GroundZeroPlugin[]} plugins - Validated plugins.
+ * @param {BuildHookName} hookName - Build stage.
+ * @param {BuildHookContext} context - Build details passed to the hook.
+ * @returns {Promise<void>}
+ */
+export async function runBuildHook(plugins, hookName, context) {
+    for (const plugin of plugins) {
+        const hook = plugin[hookName];
+        if (!hook) continue;
+        try {
+            await hook(context);
+        } catch (err) {
+            throw toPluginError(err, plugin.name, hookName);
+        }
+    }
+}
+
+/**
+ * Run one transform hook; it returns the new code, or nothing to keep the code unchanged.
+ * @param {string} pluginName - Plugin name.
+ * @param {TransformHookName} hookName - Hook name.
+ * @param {string} filePath - File the hook runs for, for error messages.
+ * @param {(code: string) => unknown} transform - Hook bound to its context.
+ * @param {string} code - HTML or CSS source.
+ * @returns {Promise<string>} Transformed code.
+ */
+async function runTransformHook(pluginName, hookName, filePath, transform, code) {
+    let result;
+    try {
+        result = await transform(code);
+    } catch (err) {
+        throw toPluginError(err, pluginName, `${hookName} for ${filePath}`);
+    }
+    if (result === undefined || result === null) return code;
+    if (typeof result !== 'string') {
+        throw new Error(`Plugin "${pluginName}" returned ${typeof result} from ${hookName} for ${filePath}; return a string or nothing`);
+    }
+    return result;
+}
+
+/**
+ * Pass the HTML of a compiled page through the `transformHtml` hook of every plugin in config order.
+ * @param {PagePlugin[]} plugins - Page plugins.
+ * @param {string} html - Page HTML.
+ * @param {HtmlHookContext} context - Page details passed to the hook.
+ * @returns {Promise<string>} Transformed HTML.
+ */
+export async function transformPageHtml(plugins, html, context) {
+    let output = html;
+    for (const plugin of plugins) {
+        const transform = plugin.transformHtml;
+        if (!transform) continue;
+        output = await runTransformHook(plugin.name, 'transformHtml', context.templatePath, (code) => transform(code, context), output);
+    }
+    return output;
+}
+
+/**
+ * Pass a built CSS file through the `transformCss` hook of every plugin in config order.
+ * @param {GroundZeroPlugin[]} plugins - Validated plugins.
+ * @param {string} css - CSS source.
+ * @param {CssHookContext} context - File details passed to the hook.
+ * @returns {Promise<string>} Transformed CSS.
+ */
+export async function transformBuildCss(plugins, css, context) {
+    let output = css;
+    for (const plugin of plugins) {
+        const transform = plugin.transformCss;
+        if (!transform) continue;
+        output = await runTransformHook(plugin.name, 'transformCss', context.filePath, (code) => transform(code, context), output);
+    }
+    return output;
+}
@@ -1,3 +1,4 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { existsSync } from 'node:fs';
 import { resolve as pathResolve } from 'node:path';
 import { pathToFileURL } from 'node:url';
@@ -10,6 +11,14 @@ const CONFIG_FILES = [
     'ground-zero.config.mjs'
 ];
 
+/**
+ * Config overrides of the current Node API call. Async-local, so a call never sees the overrides
+ * of another call made at the same time. This only covers config: `build()` and `compile()`
+ * also share output directories, so the API runs them one at a time.
+ * @type {AsyncLocalStorage<Record<string, unknown>>}
+ */
+const configOverrides = new AsyncLocalStorage();
+
 /**
  * Check whether a value is a plain object that can act as config.
  * @param {unknown} value - Runtime value to validate.
@@ -20,14 +29,57 @@ function isPlainObject(value) {
 }
 
 /**
- * Load the first supported project config file from the current workspace.
+ * Run a function with top-level config keys overridden, e.g. `{ basePath: '/docs/' }`.
+ * Every `loadProjectConfig()` call made while the function runs, including later async work it
+ * starts, sees the overrides on top of the config file.
+ * @template T
+ * @param {Record<string, unknown> | undefined} overrides - Config keys to override.
+ * @param {() => T} callback - Function to run.
+ * @returns {T} Return value of `callback`.
+ */
+export function withProjectConfigOverrides(overrides, callback) {
+    if (overrides !== undefined && !isPlainObject(overrides)) {
+        throw new Error('Expected "config" overrides to be an object like { basePath: "/docs/" }');
+    }
+    return configOverrides.run({ ...configOverrides.getStore(), ...overrides }, callback);
+}
+
+/**
+ * Load the first supported project config file from the current workspace, with the overrides
+ * of the current `withProjectConfigOverrides()` call applied.
  * @returns {Promise<Record<string, unknown>>} User config object, or an empty object when missing.
  */
 export async function loadProjectConfig() {
+    return { ...await loadProjectConfigFile(), ...configOverrides.getStore() };
+}
+
+/**
+ * Get the config overrides of the current `withProjectConfigOverrides()` call.
+ * @returns {Record<string, unknown> | undefined} Overridden config keys, or `undefined` outside an override call.
+ */
+export function getProjectConfigOverrides() {
+    return configOverrides.getStore();
+}
+
+/**
+ * Find the first supported project config file in the current workspace.
+ * @returns {string | null} Absolute config file path, or `null` when the project has none.
+ */
+export function findProjectConfigFile() {
     for (const configName of CONFIG_FILES) {
         const configPath = pathResolve(CWD, configName);
-        if (!existsSync(configPath)) continue;
+        if (existsSync(configPath)) return configPath;
+    }
+    return null;
+}
 
+/**
+ * Load the first supported project config file from the current workspace.
+ * @returns {Promise<Record<string, unknown>>} User config object, or an empty object when missing.
+ */
+async function loadProjectConfigFile() {
+    const configPath = findProjectConfigFile();
+    if (configPath) {
         const configModule = /** @type {Record<string, unknown> & { default?: unknown }} */ (
             await import(`${pathToFileURL(configPath).href}?ts=${Date.now()}`)
         );
@@ -36,8 +88,6 @@ export async function loadProjectConfig() {
         if (isPlainObject(userConfig)) {
             return userConfig;
         }
-
-        return {};
     }
 
     return {};
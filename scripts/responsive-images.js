@@ -3,8 +3,13 @@ import {
     existsSync,
     mkdirSync,
     readdirSync,
+    readFileSync,
+    renameSync,
+    rmSync,
     statSync
 } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { availableParallelism } from 'node:os';
 import {
     basename,
     dirname,
@@ -14,28 +19,91 @@ import {
     resolve as pathResolve,
     sep
 } from 'node:path';
+import picomatch from 'picomatch';
 import sharp from 'sharp';
 import { stripBasePath, withBase } from './base-path.js';
 import { loadProjectConfig } from './project-config.js';
 
 const CWD = process.cwd();
 const SOURCE_IMAGES_DIR = pathResolve(CWD, 'src/assets/images');
+const IMAGE_CACHE_DIR = join(CWD, 'tmp/image-cache');
+// Bump when the encoding pipeline changes, so cached variants are encoded again.
+const IMAGE_CACHE_FORMAT = 1;
+/** @type {Readonly<Record<ImageFormat, string>>} */
+const IMAGE_MIME_TYPES = Object.freeze({
+    avif: 'image/avif',
+    webp: 'image/webp',
+    jpeg: 'image/jpeg',
+    png: 'image/png'
+});
+/** @type {Readonly<Record<ImageFormat, string>>} */
+const IMAGE_FILE_EXTENSIONS = Object.freeze({
+    avif: 'avif',
+    webp: 'webp',
+    jpeg: 'jpg',
+    png: 'png'
+});
 /** @type {Readonly<ResponsiveImageConfig>} */
 const DEFAULT_IMAGE_CONVERSION_CONFIG = Object.freeze({
-    /** @type {keyof import('sharp').FormatEnum} */
-    format: 'webp',
+    /** @type {ImageFormat[]} */
+    formats: ['webp'],
     sizes: [480, 960, 1440],
-    injectIntrinsicSize: true
+    injectIntrinsicSize: true,
+    concurrency: availableParallelism(),
+    overrides: [],
+    placeholder: false,
+    eagerImages: 1
 });
-const IMG_TAG_RX = /<img\b(?:[^"'<>]|"[^"]*"|'[^']*')*>/gi;
+const PLACEHOLDER_TYPES = ['blur', 'color'];
+// Width of the blurred thumbnail; the browser stretches it over the image box.
+const PLACEHOLDER_WIDTH = 16;
+const OVERRIDE_KEYS = new Set(['files', 'formats', 'quality', 'sizes']);
+// Generated file names describe the variant, so the dev server and the build can emit variants
+// that only a `data-gz-*` attribute asked for: `hero-960.webp`, or `hero-960-q80.webp` for another quality.
+const VARIANT_FILE_RX = /^(.+)-(\d+)(?:-q(\d+))?\.(avif|webp|jpg|png)$/;
+// Authored `<picture>` tags are tracked so their `<img>` is not wrapped in a second `<picture>`
+// and their `<source>` tags are rewritten too.
+const PICTURE_IMG_OR_SOURCE_TAG_RX = /<\/?picture\b[^>]*>|<(?:img|source)\b(?:[^"'<>]|"[^"]*"|'[^']*')*>/gi;
 const IMG_ATTR_RX = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const ART_ATTR = 'data-gz-art';
+const SIZES_ATTR = 'data-gz-sizes';
+const FORMAT_ATTR = 'data-gz-format';
+const QUALITY_ATTR = 'data-gz-quality';
+const ART_ITEM_RX = /^(.*\S)\s+(\S+)$/;
+
+/**
+ * @typedef {'avif' | 'webp' | 'jpeg' | 'png'} ImageFormat
+ */
 
 /**
- * @typedef {Object} ResponsiveImageConfig
- * @property {keyof import('sharp').FormatEnum} format
+ * @typedef {Object} ImageConversionSettings
+ * @property {ImageFormat[]} formats - Output formats, in order of preference; a listed JPEG or PNG becomes the `<img>` fallback.
  * @property {number | undefined} [quality]
  * @property {number[]} sizes
- * @property {boolean} injectIntrinsicSize
+ */
+
+/**
+ * @typedef {Object} ImageConversionOverride
+ * @property {string[]} files - Globs matched against paths relative to `src/assets/images`.
+ * @property {ImageFormat[]} [formats]
+ * @property {number} [quality]
+ * @property {number[]} [sizes]
+ */
+
+/**
+ * @typedef {ImageConversionSettings & {
+ *   injectIntrinsicSize: boolean,
+ *   concurrency: number,
+ *   overrides: ImageConversionOverride[],
+ *   placeholder: false | 'blur' | 'color',
+ *   eagerImages: number
+ * }} ResponsiveImageConfig
+ */
+
+/**
+ * @typedef {Object} ImagePlaceholder
+ * @property {string} color - Dominant color, e.g. `#6b7f8c`.
+ * @property {string} image - Blurred thumbnail as a `data:image/webp;base64,...` URL.
  */
 
 /**
@@ -46,6 +114,13 @@ const IMG_ATTR_RX = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))
  * @property {string} url
  */
 
+/**
+ * @typedef {Object} ResponsiveImageSet
+ * @property {ImageFormat} format
+ * @property {string} type - MIME type for `<source type>`.
+ * @property {ResponsiveVariant[]} variants - Variants from narrowest to widest.
+ */
+
 /**
  * @typedef {Object} ResponsiveImageEntryBase
  * @property {'responsive' | 'passthrough'} mode
@@ -65,7 +140,11 @@ const IMG_ATTR_RX = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))
  *   mode: 'responsive',
  *   sourceWidth: number,
  *   sourceHeight: number,
- *   variants: ResponsiveVariant[]
+ *   hasAlpha: boolean,
+ *   settings: ImageConversionSettings,
+ *   placeholder?: ImagePlaceholder,
+ *   sources: ResponsiveImageSet[],
+ *   fallback: ResponsiveImageSet
  * }} ResponsiveGeneratedImageEntry
  */
 
@@ -80,6 +159,30 @@ const IMG_ATTR_RX = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))
  * @property {'"' | "'"} quote
  */
 
+/**
+ * @typedef {Object} ImageVariantMatch
+ * @property {ResponsiveGeneratedImageEntry} entry - Image the variant is generated from.
+ * @property {ImageFormat} format - Output format.
+ * @property {number} width - Output width.
+ * @property {number | undefined} quality - Encoder quality.
+ * @property {string} relativePath - Output path relative to the images directory.
+ */
+
+/**
+ * @typedef {Object} WrittenImages
+ * @property {string[]} files - Emitted file paths relative to the output directory.
+ * @property {number} cachedFiles - Number of files copied from `tmp/image-cache` instead of encoded.
+ */
+
+/**
+ * @typedef {Object} ImageTransformOptions
+ * @property {boolean} [responsiveImages]
+ * @property {Map<string, ResponsiveImageEntry>} [imageManifest]
+ * @property {ResponsiveImageConfig} [imageConfig]
+ * @property {string} [basePath]
+ * @property {string} [templatePath] - Project-relative page template path for error messages.
+ */
+
 /**
  * Check that a file path lives inside `src/assets/images`.
  * @param {string} filePath - Absolute file path.
@@ -98,6 +201,24 @@ function normalizeSlashes(value) {
     return value.replaceAll('\\', '/');
 }
 
+/**
+ * Check whether a value is a plain object.
+ * @param {unknown} value - Unknown runtime value.
+ * @returns {value is Record<string, unknown>} `true` when the value is a plain object.
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** @type {Map<string, { mtimeMs: number, size: number, metadata: import('sharp').Metadata }>} */
+const metadataCache = new Map();
+/** @type {Map<string, { mtimeMs: number, size: number, hash: string }>} */
+const sourceHashCache = new Map();
+/** @type {Map<string, { mtimeMs: number, size: number, placeholder: ImagePlaceholder }>} */
+const placeholderCache = new Map();
+/** @type {Map<string, Promise<void>>} */
+const pendingEncodes = new Map();
+
 /**
  * Load image conversion settings from project config.
  * @returns {Promise<ResponsiveImageConfig>} Effective responsive image config.
@@ -106,21 +227,163 @@ export async function loadImageConversionConfig() {
     const userConfig = await loadProjectConfig();
 
     const imageConfig = /** @type {{
-        format?: keyof import('sharp').FormatEnum,
-        quality?: number,
-        sizes?: number[],
-        injectIntrinsicSize?: boolean
+        formats?: unknown,
+        format?: unknown,
+        quality?: unknown,
+        sizes?: unknown,
+        injectIntrinsicSize?: boolean,
+        concurrency?: unknown,
+        overrides?: unknown,
+        placeholder?: unknown,
+        eagerImages?: unknown
     } | undefined} */ (userConfig.imageConversion);
+    const concurrency = imageConfig?.concurrency ?? DEFAULT_IMAGE_CONVERSION_CONFIG.concurrency;
+    if (typeof concurrency !== 'number' || !Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error('Expected "imageConversion.concurrency" in ground-zero config to be a positive integer');
+    }
+    const placeholder = imageConfig?.placeholder ?? DEFAULT_IMAGE_CONVERSION_CONFIG.placeholder;
+    if (placeholder !== false && !PLACEHOLDER_TYPES.includes(/** @type {string} */ (placeholder))) {
+        throw new Error(`Expected "imageConversion.placeholder" in ground-zero config to be false or one of: ${PLACEHOLDER_TYPES.join(', ')}`);
+    }
+    const eagerImages = imageConfig?.eagerImages ?? DEFAULT_IMAGE_CONVERSION_CONFIG.eagerImages;
+    if (typeof eagerImages !== 'number' || !Number.isInteger(eagerImages) || eagerImages < 0) {
+        throw new Error('Expected "imageConversion.eagerImages" in ground-zero config to be an integer of 0 or more');
+    }
 
     return {
-        format: imageConfig?.format ?? DEFAULT_IMAGE_CONVERSION_CONFIG.format,
-        quality: imageConfig?.quality,
-        sizes: imageConfig?.sizes ?? [...DEFAULT_IMAGE_CONVERSION_CONFIG.sizes],
+        formats: imageConfig?.formats !== undefined
+            ? normalizeImageFormats(imageConfig.formats, '"imageConversion.formats" in ground-zero config')
+            // `format` is the single-format option of earlier versions.
+            : imageConfig?.format !== undefined
+                ? normalizeImageFormats([imageConfig.format], '"imageConversion.format" in ground-zero config')
+                : [...DEFAULT_IMAGE_CONVERSION_CONFIG.formats],
+        quality: normalizeImageQuality(imageConfig?.quality, '"imageConversion.quality" in ground-zero config'),
+        sizes: imageConfig?.sizes !== undefined
+            ? normalizeImageSizes(imageConfig.sizes, '"imageConversion.sizes" in ground-zero config')
+            : [...DEFAULT_IMAGE_CONVERSION_CONFIG.sizes],
         injectIntrinsicSize: imageConfig?.injectIntrinsicSize
-            ?? DEFAULT_IMAGE_CONVERSION_CONFIG.injectIntrinsicSize
+            ?? DEFAULT_IMAGE_CONVERSION_CONFIG.injectIntrinsicSize,
+        concurrency,
+        overrides: normalizeImageOverrides(imageConfig?.overrides),
+        placeholder: /** @type {ResponsiveImageConfig['placeholder']} */ (placeholder),
+        eagerImages
     };
 }
 
+/**
+ * Validate a list of output formats.
+ * @param {unknown} value - Raw formats.
+ * @param {string} label - Where the formats come from, for error messages.
+ * @returns {ImageFormat[]} Unique formats in the given order.
+ */
+function normalizeImageFormats(value, label) {
+    const supportedFormats = Object.keys(IMAGE_MIME_TYPES);
+    if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`Expected ${label} to be a non-empty list of formats, e.g. avif, webp`);
+    }
+
+    /** @type {ImageFormat[]} */
+    const formats = [];
+    for (const format of value) {
+        const normalizedFormat = typeof format === 'string' ? format.toLowerCase().replace(/^jpg$/, 'jpeg') : '';
+        if (!supportedFormats.includes(normalizedFormat)) {
+            throw new Error(`Unsupported image format ${JSON.stringify(format)} in ${label}; use one of: ${supportedFormats.join(', ')}`);
+        }
+        const imageFormat = /** @type {ImageFormat} */ (normalizedFormat);
+        if (!formats.includes(imageFormat)) formats.push(imageFormat);
+    }
+    return formats;
+}
+
+/**
+ * Validate a list of output widths.
+ * @param {unknown} value - Raw widths.
+ * @param {string} label - Where the widths come from, for error messages.
+ * @returns {number[]} Widths in px.
+ */
+function normalizeImageSizes(value, label) {
+    if (!Array.isArray(value) || value.length === 0 || !value.every((size) => Number.isInteger(size) && size > 0)) {
+        throw new Error(`Expected ${label} to be a non-empty list of widths in px, e.g. 480, 960`);
+    }
+    return value;
+}
+
+/**
+ * Validate an encoder quality.
+ * @param {unknown} value - Raw quality.
+ * @param {string} label - Where the quality comes from, for error messages.
+ * @returns {number | undefined} Quality, or `undefined` for sharp's default.
+ */
+function normalizeImageQuality(value, label) {
+    if (value === undefined) return undefined;
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < 1 || value > 100) {
+        throw new Error(`Expected ${label} to be an integer from 1 to 100`);
+    }
+    return value;
+}
+
+/**
+ * Validate `imageConversion.overrides`: settings for the images that match glob patterns.
+ * @param {unknown} value - Raw config value.
+ * @returns {ImageConversionOverride[]} Overrides in config order.
+ */
+function normalizeImageOverrides(value) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+        throw new Error('Expected "imageConversion.overrides" in ground-zero config to be an array like [{ files: \'hero/**\', sizes: [768, 1536] }]');
+    }
+
+    return value.map((override, index) => {
+        const optionName = `imageConversion.overrides[${index}]`;
+        if (!isPlainObject(override)) {
+            throw new Error(`Expected "${optionName}" in ground-zero config to be an object like { files: 'hero/**', quality: 80 }`);
+        }
+        for (const key of Object.keys(override)) {
+            if (!OVERRIDE_KEYS.has(key)) {
+                throw new Error(`Unsupported key "${key}" in "${optionName}" of ground-zero config; use one of: ${Array.from(OVERRIDE_KEYS).join(', ')}`);
+            }
+        }
+
+        const files = typeof override.files === 'string' ? [override.files] : override.files;
+        if (!Array.isArray(files) || files.length === 0 || !files.every((pattern) => typeof pattern === 'string' && pattern)) {
+            throw new Error(`Expected "${optionName}.files" in ground-zero config to be a glob or a list of globs like 'hero/**'`);
+        }
+
+        /** @type {ImageConversionOverride} */
+        const normalized = { files };
+        if (override.formats !== undefined) {
+            normalized.formats = normalizeImageFormats(override.formats, `"${optionName}.formats" in ground-zero config`);
+        }
+        if (override.quality !== undefined) {
+            normalized.quality = normalizeImageQuality(override.quality, `"${optionName}.quality" in ground-zero config`);
+        }
+        if (override.sizes !== undefined) {
+            normalized.sizes = normalizeImageSizes(override.sizes, `"${optionName}.sizes" in ground-zero config`);
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Resolve the settings of one image: the global settings, then every matching override in config order.
+ * @param {ResponsiveImageConfig} config - Effective image conversion config.
+ * @param {string} relativePath - Image path relative to `src/assets/images`.
+ * @returns {ImageConversionSettings} Settings for this image.
+ */
+function resolveImageSettings(config, relativePath) {
+    /** @type {ImageConversionSettings} */
+    let settings = { formats: config.formats, quality: config.quality, sizes: config.sizes };
+    for (const override of config.overrides) {
+        if (!picomatch.isMatch(relativePath, override.files)) continue;
+        settings = {
+            formats: override.formats ?? settings.formats,
+            quality: override.quality ?? settings.quality,
+            sizes: override.sizes ?? settings.sizes
+        };
+    }
+    return settings;
+}
+
 /**
  * Recursively walk a directory and return all files.
  * @param {string} dir - Directory to scan.
@@ -180,6 +443,99 @@ function toBuildImageUrl(relativePath, basePath) {
     return withBase(`/assets/images/${normalizeSlashes(relativePath)}`, basePath);
 }
 
+/**
+ * Plan the variants of a raster image in every format.
+ * @param {string} relativePath - Image path relative to `src/assets/images`.
+ * @param {{ sourceWidth: number, sourceHeight: number, hasAlpha: boolean }} image - Source image size and transparency.
+ * @param {ImageConversionSettings} settings - Settings for this image.
+ * @param {string} nameSuffix - Added to the file names, e.g. `-q80` for a quality set on one tag.
+ * @param {string} basePath - Normalized deploy base path.
+ * @returns {Pick<ResponsiveGeneratedImageEntry, 'outputPath' | 'url' | 'sources' | 'fallback'>} Planned variants.
+ */
+function planImageVariants(relativePath, image, settings, nameSuffix, basePath) {
+    const { sourceWidth, sourceHeight } = image;
+    const widths = buildVariantWidths(sourceWidth, settings.sizes);
+    const relativeDir = dirname(relativePath);
+    const targetDir = relativeDir === '.' ? '' : normalizeSlashes(relativeDir);
+    // Browsers without support for any listed format load the `<img>`: a listed JPEG or PNG,
+    // otherwise PNG for transparent images and JPEG for the rest.
+    const fallbackFormat = settings.formats.find((format) => format === 'jpeg' || format === 'png')
+        ?? (image.hasAlpha ? 'png' : 'jpeg');
+    const fallback = buildImageSet(fallbackFormat);
+    const largestVariant = fallback.variants[fallback.variants.length - 1];
+    if (!largestVariant) {
+        throw new Error(`No responsive widths generated for: src/assets/images/${relativePath}`);
+    }
+
+    return {
+        outputPath: largestVariant.relativePath,
+        url: largestVariant.url,
+        sources: settings.formats.filter((format) => format !== fallbackFormat).map(buildImageSet),
+        fallback
+    };
+
+    /**
+     * Plan the variants in one format.
+     * @param {ImageFormat} format - Output format.
+     * @returns {ResponsiveImageSet} Variants with output paths and URLs.
+     */
+    function buildImageSet(format) {
+        const variants = widths.map((width) => {
+            const height = Math.max(1, Math.round((sourceHeight * width) / sourceWidth));
+            const fileName = `${basename(relativePath, extname(relativePath))}-${width}${nameSuffix}.${IMAGE_FILE_EXTENSIONS[format]}`;
+            const filePath = targetDir ? `${targetDir}/${fileName}` : fileName;
+            return {
+                width,
+                height,
+                relativePath: filePath,
+                url: toBuildImageUrl(filePath, basePath)
+            };
+        });
+
+        return { format, type: IMAGE_MIME_TYPES[format], variants };
+    }
+}
+
+/**
+ * Read the metadata of a source image. Results are kept until the file changes, so the dev
+ * server can rebuild the manifest on every page compile.
+ * @param {string} sourcePath - Absolute source image path.
+ * @returns {Promise<import('sharp').Metadata>} Image metadata.
+ */
+async function readImageMetadata(sourcePath) {
+    const { mtimeMs, size } = statSync(sourcePath);
+    const cached = metadataCache.get(sourcePath);
+    if (cached && cached.mtimeMs === mtimeMs && cached.size === size) return cached.metadata;
+
+    const metadata = await sharp(sourcePath).metadata();
+    metadataCache.set(sourcePath, { mtimeMs, size, metadata });
+    return metadata;
+}
+
+/**
+ * Compute the placeholder of a source image: a tiny blurred thumbnail and the dominant color.
+ * Results are kept until the file changes.
+ * @param {string} sourcePath - Absolute source image path.
+ * @returns {Promise<ImagePlaceholder>} Placeholder data.
+ */
+async function readImagePlaceholder(sourcePath) {
+    const { mtimeMs, size } = statSync(sourcePath);
+    const cached = placeholderCache.get(sourcePath);
+    if (cached && cached.mtimeMs === mtimeMs && cached.size === size) return cached.placeholder;
+
+    const thumbnail = await sharp(sourcePath)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur()
+        .webp({ quality: 50 })
+        .toBuffer();
+    const { dominant } = await sharp(thumbnail).stats();
+    const color = `#${[dominant.r, dominant.g, dominant.b].map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+    const placeholder = { color, image: `data:image/webp;base64,${thumbnail.toString('base64')}` };
+    placeholderCache.set(sourcePath, { mtimeMs, size, placeholder });
+    return placeholder;
+}
+
 /**
  * Build metadata used to rewrite HTML and emit responsive images.
  * @param {ResponsiveImageConfig} config - Effective image conversion config.
@@ -206,7 +562,7 @@ export async function buildResponsiveImageManifest(config, basePath = '/') {
 
         let metadata;
         try {
-            metadata = await sharp(sourcePath).metadata();
+            metadata = await readImageMetadata(sourcePath);
         } catch {
             continue;
         }
@@ -215,43 +571,129 @@ export async function buildResponsiveImageManifest(config, basePath = '/') {
             continue;
         }
 
-        const relativeDir = dirname(relativePath);
-        const targetDir = relativeDir === '.' ? '' : normalizeSlashes(relativeDir);
-        const outputExtension = config.format.toLowerCase();
-        /** @type {ResponsiveVariant[]} */
-        const variants = [];
-
-        for (const width of buildVariantWidths(metadata.width, config.sizes)) {
-            const height = Math.max(1, Math.round((metadata.height * width) / metadata.width));
-            const fileName = `${basename(relativePath, extname(relativePath))}-${width}.${outputExtension}`;
-            const filePath = targetDir ? `${targetDir}/${fileName}` : fileName;
-            variants.push({
-                width,
-                height,
-                relativePath: filePath,
-                url: toBuildImageUrl(filePath, basePath)
-            });
-        }
-
-        const fallback = variants[variants.length - 1];
-        if (!fallback) {
-            throw new Error(`No responsive widths generated for: ${sourcePath}`);
-        }
-
+        const image = { sourceWidth: metadata.width, sourceHeight: metadata.height, hasAlpha: Boolean(metadata.hasAlpha) };
+        const settings = resolveImageSettings(config, relativePath);
         manifest.set(sourcePath, {
             mode: 'responsive',
             sourcePath,
-            outputPath: fallback.relativePath,
-            url: fallback.url,
-            sourceWidth: metadata.width,
-            sourceHeight: metadata.height,
-            variants
+            ...image,
+            settings,
+            ...config.placeholder ? { placeholder: await readImagePlaceholder(sourcePath) } : {},
+            ...planImageVariants(relativePath, image, settings, '', basePath)
         });
     }
 
     return manifest;
 }
 
+/**
+ * Load everything `transformHtmlImages()` needs to rewrite pages like the production build.
+ * @param {string} basePath - Normalized deploy base path.
+ * @returns {Promise<ImageTransformOptions & { imageManifest: Map<string, ResponsiveImageEntry>, imageConfig: ResponsiveImageConfig }>}
+ * Image options for `compileAll()`.
+ */
+export async function loadResponsiveImageOptions(basePath) {
+    const imageConfig = await loadImageConversionConfig();
+    const imageManifest = await buildResponsiveImageManifest(imageConfig, basePath);
+    return { responsiveImages: true, imageManifest, imageConfig };
+}
+
+/**
+ * Find the variant behind a path in `build/assets/images`: a variant planned by the manifest,
+ * or one that only a `data-gz-*` attribute asked for.
+ * @param {Map<string, ResponsiveImageEntry>} manifest - Source image manifest.
+ * @param {string} relativePath - Variant path relative to the images directory, e.g. `team/maya-960.webp`.
+ * @returns {ImageVariantMatch | null} Matching variant, or `null` when no image generates that path.
+ */
+export function findImageVariant(manifest, relativePath) {
+    return findPlannedVariant(manifest, relativePath) ?? parseVariantPath(manifest, relativePath);
+}
+
+/**
+ * Find a variant planned by the manifest.
+ * @param {Map<string, ResponsiveImageEntry>} manifest - Source image manifest.
+ * @param {string} relativePath - Variant path relative to the images directory.
+ * @returns {ImageVariantMatch | null} Matching variant.
+ */
+function findPlannedVariant(manifest, relativePath) {
+    for (const entry of manifest.values()) {
+        if (entry.mode !== 'responsive') continue;
+        for (const imageSet of [...entry.sources, entry.fallback]) {
+            const variant = imageSet.variants.find((candidate) => candidate.relativePath === relativePath);
+            if (variant) {
+                return { entry, format: imageSet.format, width: variant.width, quality: entry.settings.quality, relativePath };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the image, width, quality and format from a generated file name like `hero-768-q80.webp`.
+ * @param {Map<string, ResponsiveImageEntry>} manifest - Source image manifest.
+ * @param {string} relativePath - Variant path relative to the images directory.
+ * @returns {ImageVariantMatch | null} Variant, or `null` when the name matches no source image.
+ */
+function parseVariantPath(manifest, relativePath) {
+    const match = relativePath.match(VARIANT_FILE_RX);
+    if (!match) return null;
+
+    const [, namePath, widthText, qualityText, extension] = match;
+    const format = /** @type {ImageFormat} */ (
+        Object.keys(IMAGE_FILE_EXTENSIONS).find((key) => IMAGE_FILE_EXTENSIONS[/** @type {ImageFormat} */ (key)] === extension)
+    );
+    const width = Number(widthText);
+    for (const entry of manifest.values()) {
+        if (entry.mode !== 'responsive') continue;
+        const sourceRelativePath = normalizeSlashes(pathRelative(SOURCE_IMAGES_DIR, entry.sourcePath));
+        if (sourceRelativePath.slice(0, -extname(sourceRelativePath).length) !== namePath) continue;
+
+        const quality = qualityText === undefined ? entry.settings.quality : Number(qualityText);
+        // Images are never upscaled, so wider variants cannot exist.
+        if (width < 1 || width > entry.sourceWidth || (quality !== undefined && (quality < 1 || quality > 100))) return null;
+        return { entry, format, width, quality, relativePath };
+    }
+    return null;
+}
+
+/**
+ * Find the variants that the compiled HTML of a page uses but the manifest does not plan,
+ * because a `data-gz-*` attribute asked for other sizes, formats or quality.
+ * @param {string} html - Compiled page HTML.
+ * @param {Map<string, ResponsiveImageEntry>} manifest - Source image manifest.
+ * @param {string} basePath - Normalized deploy base path.
+ * @returns {ImageVariantMatch[]} Extra variants to emit.
+ */
+export function findImageVariantsInHtml(html, manifest, basePath) {
+    const imagesUrl = withBase('/assets/images/', basePath);
+    const urlRx = new RegExp(`${imagesUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^\\s"'<>,?#]+)`, 'g');
+    /** @type {Map<string, ImageVariantMatch>} */
+    const variants = new Map();
+    for (const [, urlPath] of html.matchAll(urlRx)) {
+        let relativePath = urlPath;
+        try {
+            relativePath = decodeURIComponent(urlPath);
+        } catch {
+            relativePath = urlPath;
+        }
+        if (variants.has(relativePath) || findPlannedVariant(manifest, relativePath)) continue;
+        const variant = parseVariantPath(manifest, relativePath);
+        if (variant) variants.set(relativePath, variant);
+    }
+    return Array.from(variants.values());
+}
+
+/**
+ * Generate a variant for the dev server. It is encoded into the shared image cache, so
+ * `gzero-build` can reuse it and vice versa.
+ * @param {ImageVariantMatch} match - Variant to generate.
+ * @returns {Promise<string>} Absolute path of the cached file.
+ */
+export async function writeDevImageVariant(match) {
+    const { cachePath } = await encodeCachedVariant(match.entry.sourcePath, match.format, match.width, match.quality);
+    return cachePath;
+}
+
 /**
  * Split a URL into path and suffix segments.
  * @param {string} src - Original URL.
@@ -328,14 +770,14 @@ function resolveSourceImagePath(src, basePath) {
 }
 
 /**
- * Parse an `<img>` tag into ordered attributes.
+ * Parse an `<img>` or `<source>` tag into ordered attributes.
  * @param {string} tag - Raw HTML tag.
  * @returns {ParsedImgAttribute[]} Parsed attributes.
  */
 function parseImgAttributes(tag) {
     /** @type {ParsedImgAttribute[]} */
     const attrs = [];
-    const inner = tag.replace(/^<img\b/i, '').replace(/\/?>$/, '');
+    const inner = tag.replace(/^<(?:img|source)\b/i, '').replace(/\/?>$/, '');
 
     let match;
     IMG_ATTR_RX.lastIndex = 0;
@@ -381,12 +823,25 @@ function upsertAttr(attrs, name, value) {
 }
 
 /**
- * Serialize parsed attributes back to an `<img>` tag.
+ * Remove an attribute case-insensitively.
+ * @param {ParsedImgAttribute[]} attrs - Parsed attributes.
+ * @param {string} name - Attribute name.
+ * @returns {ParsedImgAttribute | undefined} Removed attribute.
+ */
+function removeAttr(attrs, name) {
+    const attr = findAttr(attrs, name);
+    if (attr) attrs.splice(attrs.indexOf(attr), 1);
+    return attr;
+}
+
+/**
+ * Serialize parsed attributes back to a void element tag such as `<img>` or `<source>`.
+ * @param {string} tagName - Element name.
  * @param {ParsedImgAttribute[]} attrs - Parsed attributes.
  * @param {boolean} selfClosing - Whether the original tag was self-closing.
  * @returns {string} Serialized tag.
  */
-function serializeImgTag(attrs, selfClosing) {
+function serializeTag(tagName, attrs, selfClosing) {
     /** @type {string[]} */
     const parts = [];
 
@@ -404,19 +859,35 @@ function serializeImgTag(attrs, selfClosing) {
     }
 
     return selfClosing
-        ? `<img ${parts.join(' ')} />`
-        : `<img ${parts.join(' ')}>`;
+        ? `<${tagName} ${parts.join(' ')} />`
+        : `<${tagName} ${parts.join(' ')}>`;
 }
 
 /**
- * Rewrite image tags for production responsive output.
+ * Split a comma- or space-separated attribute value.
+ * @param {string | null} value - Attribute value.
+ * @returns {string[]} Non-empty items.
+ */
+function splitList(value) {
+    return (value ?? '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Build a `srcset` value from image variants.
+ * @param {ResponsiveVariant[]} variants - Image variants.
+ * @returns {string} Comma-separated width candidates.
+ */
+function toSrcset(variants) {
+    return variants.map((variant) => `${variant.url} ${variant.width}w`).join(', ');
+}
+
+/**
+ * Rewrite image tags for production responsive output. Images become a `<picture>` with one
+ * `<source>` per configured format and a JPEG or PNG fallback `<img>`; `data-gz-art` adds
+ * sources with other images for media queries. A `<source>` in an authored `<picture>` that
+ * names a source image becomes one `<source>` per format as well.
  * @param {string} html - Rendered HTML.
- * @param {{
- *   responsiveImages?: boolean,
- *   imageManifest?: Map<string, ResponsiveImageEntry>,
- *   imageConfig?: ResponsiveImageConfig,
- *   basePath?: string
- * }} [options] - Build-time image options.
+ * @param {ImageTransformOptions} [options] - Build-time image options.
  * @returns {string} HTML with responsive image attributes applied.
  */
 export function transformHtmlImages(html, options = {}) {
@@ -424,57 +895,452 @@ export function transformHtmlImages(html, options = {}) {
     const imageManifest = options.imageManifest;
     const injectIntrinsicSize = options.imageConfig?.injectIntrinsicSize !== false;
     const basePath = options.basePath ?? '/';
+    const templatePath = options.templatePath ?? 'a page';
+    const placeholderType = options.imageConfig?.placeholder ?? false;
+    const eagerImages = options.imageConfig?.eagerImages ?? DEFAULT_IMAGE_CONVERSION_CONFIG.eagerImages;
 
     if (!responsiveImages || !imageManifest) {
         return html;
     }
 
-    return html.replace(IMG_TAG_RX, (tag) => {
-        const attrs = parseImgAttributes(tag);
-        const srcAttr = findAttr(attrs, 'src');
-        if (!srcAttr || srcAttr.value === null) return tag;
+    let pictureDepth = 0;
+    // Position of the current `<img>` in the page; the first ones are assumed to be above the fold.
+    let imageIndex = -1;
+    return html.replace(PICTURE_IMG_OR_SOURCE_TAG_RX, (tag) => {
+        if (/^<picture\b/i.test(tag)) {
+            pictureDepth += 1;
+            return tag;
+        }
+        if (/^<\/picture/i.test(tag)) {
+            pictureDepth = Math.max(0, pictureDepth - 1);
+            return tag;
+        }
+        // `<source>` tags of `<video>` and `<audio>` are not images.
+        if (/^<source\b/i.test(tag)) {
+            return pictureDepth > 0 ? rewriteSourceTag(tag) : tag;
+        }
+        return rewriteImgTag(tag, pictureDepth > 0);
+    });
 
-        const sourcePath = resolveSourceImagePath(srcAttr.value, basePath);
-        if (!sourcePath) return tag;
+    /**
+     * Rewrite an authored `<source>` inside `<picture>`. The build only emits generated variants,
+     * so a `srcset` pointing at a source image must be replaced.
+     * @param {string} tag - Raw `<source>` tag.
+     * @returns {string} One `<source>` per format, or the tag unchanged when it names no source image.
+     */
+    function rewriteSourceTag(tag) {
+        const attrs = parseImgAttributes(tag);
+        const selfClosing = tag.endsWith('/>');
+        const srcset = findAttr(attrs, 'srcset')?.value ?? '';
+        const candidates = srcset.split(',').map((candidate) => candidate.trim()).filter(Boolean);
+        const sourcePaths = candidates.map((candidate) => resolveSourceImagePath(candidate.split(/\s+/)[0], basePath));
+        const tagSettings = readTagSettings(attrs);
+        if (!sourcePaths.some((sourcePath) => sourcePath && imageManifest?.has(sourcePath))) {
+            return tagSettings ? serializeTag('source', attrs, selfClosing) : tag;
+        }
 
-        const entry = imageManifest.get(sourcePath);
-        if (!entry) return tag;
+        if (candidates.length !== 1 || /\s/.test(candidates[0])) {
+            throw new Error(
+                `<source srcset="${srcset}"> in ${templatePath} must name one image from src/assets/images without a width or density, `
+                + 'e.g. srcset="/assets/images/hero-portrait.jpg"; the build generates the widths'
+            );
+        }
+        if (findAttr(attrs, 'type')) {
+            throw new Error(`<source srcset="${srcset}"> in ${templatePath} must not set "type"; the build adds one <source> per format`);
+        }
 
+        const entry = /** @type {ResponsiveImageEntry} */ (applyTagSettings(imageManifest?.get(sourcePaths[0]), tagSettings));
         if (entry.mode === 'passthrough') {
+            upsertAttr(attrs, 'srcset', entry.url);
+            return serializeTag('source', attrs, selfClosing);
+        }
+
+        return [...entry.sources, entry.fallback].map((imageSet) => {
+            const sourceAttrs = attrs.map((attr) => ({ ...attr }));
+            const srcsetAttr = /** @type {ParsedImgAttribute} */ (findAttr(sourceAttrs, 'srcset'));
+            srcsetAttr.value = toSrcset(imageSet.variants);
+            sourceAttrs.splice(sourceAttrs.indexOf(srcsetAttr), 0, { name: 'type', value: imageSet.type, quote: '"' });
+            // The image may have another aspect ratio than the `<img>`, as with `data-gz-art`.
+            if (injectIntrinsicSize && !findAttr(sourceAttrs, 'width') && !findAttr(sourceAttrs, 'height')) {
+                sourceAttrs.push({ name: 'width', value: String(entry.sourceWidth), quote: '"' });
+                sourceAttrs.push({ name: 'height', value: String(entry.sourceHeight), quote: '"' });
+            }
+            return serializeTag('source', sourceAttrs, selfClosing);
+        }).join('');
+    }
+
+    /**
+     * Rewrite one `<img>` tag.
+     * @param {string} tag - Raw `<img>` tag.
+     * @param {boolean} insidePicture - Whether the tag is inside an authored `<picture>`.
+     * @returns {string} `<picture>` element, or the rewritten `<img>` inside an authored `<picture>`.
+     */
+    function rewriteImgTag(tag, insidePicture) {
+        imageIndex += 1;
+        const attrs = parseImgAttributes(tag);
+        const selfClosing = tag.endsWith('/>');
+        const artAttr = removeAttr(attrs, ART_ATTR);
+        if (artAttr && insidePicture) {
+            throw new Error(`${ART_ATTR} in ${templatePath} cannot be used on an <img> inside <picture>; add <source media> elements to that <picture> instead`);
+        }
+
+        const tagSettings = readTagSettings(attrs);
+        const srcAttr = findAttr(attrs, 'src');
+        const sourcePath = srcAttr?.value ? resolveSourceImagePath(srcAttr.value, basePath) : '';
+        const entry = applyTagSettings(sourcePath ? imageManifest?.get(sourcePath) : undefined, tagSettings);
+        if (!entry && !artAttr && !tagSettings) return tag;
+
+        const sizes = findAttr(attrs, 'sizes')?.value ?? null;
+        const sources = artAttr ? parseArtDirection(artAttr.value ?? '').flatMap(
+            ({ media, entry: artEntry }) => renderSources(applyTagSettings(artEntry, tagSettings) ?? artEntry, media, sizes)
+        ) : [];
+
+        if (entry?.mode === 'passthrough') {
             upsertAttr(attrs, 'src', entry.url);
-            return serializeImgTag(attrs, tag.endsWith('/>'));
+        } else if (entry) {
+            upsertAttr(attrs, 'src', entry.url);
+            upsertAttr(attrs, 'srcset', toSrcset(entry.fallback.variants));
+
+            if (injectIntrinsicSize && !findAttr(attrs, 'width')) {
+                upsertAttr(attrs, 'width', String(entry.sourceWidth));
+            }
+            if (injectIntrinsicSize && !findAttr(attrs, 'height')) {
+                upsertAttr(attrs, 'height', String(entry.sourceHeight));
+            }
+            if (!insidePicture) {
+                sources.push(...entry.sources.map((imageSet) => renderSource(imageSet, null, sizes)));
+            }
+            // Transparent images would show the placeholder through their clear pixels.
+            if (placeholderType && entry.placeholder && !entry.hasAlpha) {
+                const { color, image } = entry.placeholder;
+                const background = placeholderType === 'blur'
+                    ? `background: ${color} url(${image}) center / cover no-repeat`
+                    : `background-color: ${color}`;
+                const style = findAttr(attrs, 'style')?.value;
+                // The authored style comes last, so its own background still wins.
+                upsertAttr(attrs, 'style', style ? `${background}; ${style}` : background);
+            }
         }
 
-        upsertAttr(attrs, 'src', entry.url);
-        upsertAttr(
-            attrs,
-            'srcset',
-            entry.variants.map((variant) => `${variant.url} ${variant.width}w`).join(', ')
-        );
+        if (entry && placeholderType) {
+            if (!findAttr(attrs, 'loading') && imageIndex >= eagerImages) {
+                upsertAttr(attrs, 'loading', 'lazy');
+            }
+            if (!findAttr(attrs, 'decoding')) {
+                upsertAttr(attrs, 'decoding', 'async');
+            }
+        }
 
-        if (injectIntrinsicSize && !findAttr(attrs, 'width')) {
-            upsertAttr(attrs, 'width', String(entry.sourceWidth));
+        const img = serializeTag('img', attrs, selfClosing);
+        return sources.length > 0 ? `<picture>${sources.join('')}${img}</picture>` : img;
+
+        /**
+         * Render the `<source>` elements of an image, optionally limited to a media query.
+         * @param {ResponsiveImageEntry} imageEntry - Image manifest entry.
+         * @param {string | null} media - Media query, `null` for the default image.
+         * @param {string | null} sizesValue - `sizes` of the `<img>`, repeated on every source.
+         * @returns {string[]} Serialized `<source>` tags.
+         */
+        function renderSources(imageEntry, media, sizesValue) {
+            if (imageEntry.mode === 'passthrough') {
+                /** @type {ParsedImgAttribute[]} */
+                const sourceAttrs = [];
+                if (media) sourceAttrs.push({ name: 'media', value: media, quote: '"' });
+                sourceAttrs.push({ name: 'srcset', value: imageEntry.url, quote: '"' });
+                return [serializeTag('source', sourceAttrs, selfClosing)];
+            }
+
+            // The fallback format is listed too: without it, browsers that support none of the
+            // configured formats would show the default image for this media query.
+            return [...imageEntry.sources, imageEntry.fallback].map((imageSet) => renderSource(imageSet, media, sizesValue, imageEntry));
         }
-        if (injectIntrinsicSize && !findAttr(attrs, 'height')) {
-            upsertAttr(attrs, 'height', String(entry.sourceHeight));
+
+        /**
+         * Render one `<source>` element.
+         * @param {ResponsiveImageSet} imageSet - Variants in one format.
+         * @param {string | null} media - Media query, `null` for the default image.
+         * @param {string | null} sizesValue - `sizes` of the `<img>`.
+         * @param {ResponsiveGeneratedImageEntry} [artEntry] - Art-directed image whose size the source declares.
+         * @returns {string} Serialized `<source>` tag.
+         */
+        function renderSource(imageSet, media, sizesValue, artEntry) {
+            /** @type {ParsedImgAttribute[]} */
+            const sourceAttrs = [];
+            if (media) sourceAttrs.push({ name: 'media', value: media, quote: '"' });
+            sourceAttrs.push({ name: 'type', value: imageSet.type, quote: '"' });
+            sourceAttrs.push({ name: 'srcset', value: toSrcset(imageSet.variants), quote: '"' });
+            if (sizesValue !== null) sourceAttrs.push({ name: 'sizes', value: sizesValue, quote: '"' });
+            // Art-directed images often have another aspect ratio; the `<img>` size would not fit them.
+            if (artEntry && injectIntrinsicSize) {
+                sourceAttrs.push({ name: 'width', value: String(artEntry.sourceWidth), quote: '"' });
+                sourceAttrs.push({ name: 'height', value: String(artEntry.sourceHeight), quote: '"' });
+            }
+            return serializeTag('source', sourceAttrs, selfClosing);
         }
+    }
 
-        return serializeImgTag(attrs, tag.endsWith('/>'));
-    });
+    /**
+     * Read and remove the `data-gz-sizes`, `data-gz-format` and `data-gz-quality` attributes of a tag.
+     * @param {ParsedImgAttribute[]} attrs - Parsed `<img>` or `<source>` attributes.
+     * @returns {Partial<ImageConversionSettings> | null} Settings for this tag, or `null` when it has none.
+     */
+    function readTagSettings(attrs) {
+        const sizesAttr = removeAttr(attrs, SIZES_ATTR);
+        const formatAttr = removeAttr(attrs, FORMAT_ATTR);
+        const qualityAttr = removeAttr(attrs, QUALITY_ATTR);
+        if (!sizesAttr && !formatAttr && !qualityAttr) return null;
+
+        /** @type {Partial<ImageConversionSettings>} */
+        const settings = {};
+        if (sizesAttr) {
+            settings.sizes = normalizeImageSizes(splitList(sizesAttr.value).map(Number), `${SIZES_ATTR} in ${templatePath}`);
+        }
+        if (formatAttr) {
+            settings.formats = normalizeImageFormats(splitList(formatAttr.value), `${FORMAT_ATTR} in ${templatePath}`);
+        }
+        if (qualityAttr) {
+            settings.quality = normalizeImageQuality(Number(qualityAttr.value ?? ''), `${QUALITY_ATTR} in ${templatePath}`);
+        }
+        return settings;
+    }
+
+    /**
+     * Plan the variants of an image again with the settings of one tag.
+     * @param {ResponsiveImageEntry | undefined} entry - Image manifest entry.
+     * @param {Partial<ImageConversionSettings> | null} tagSettings - Settings from `data-gz-*` attributes.
+     * @returns {ResponsiveImageEntry | undefined} Entry with the tag's variants; SVG images are returned unchanged.
+     */
+    function applyTagSettings(entry, tagSettings) {
+        if (!entry || !tagSettings || entry.mode !== 'responsive') return entry;
+
+        const settings = { ...entry.settings, ...tagSettings };
+        const nameSuffix = settings.quality === entry.settings.quality ? '' : `-q${settings.quality}`;
+        const relativePath = normalizeSlashes(pathRelative(SOURCE_IMAGES_DIR, entry.sourcePath));
+        return { ...entry, ...planImageVariants(relativePath, entry, settings, nameSuffix, basePath) };
+    }
+
+    /**
+     * Parse `data-gz-art`: `;`-separated pairs of a media query and an image URL,
+     * e.g. `(max-width: 599px) /assets/images/hero-portrait.jpg`.
+     * @param {string} value - Attribute value.
+     * @returns {Array<{ media: string, entry: ResponsiveImageEntry }>} Art-directed images in source order.
+     */
+    function parseArtDirection(value) {
+        return value.split(';').map((item) => item.trim()).filter(Boolean).map((item) => {
+            const match = item.match(ART_ITEM_RX);
+            if (!match) {
+                throw new Error(
+                    `Invalid ${ART_ATTR} entry "${item}" in ${templatePath}; use "(max-width: 599px) /assets/images/hero-portrait.jpg"`
+                );
+            }
+
+            const [, media, src] = match;
+            const artSourcePath = resolveSourceImagePath(src, basePath);
+            const entry = artSourcePath ? imageManifest?.get(artSourcePath) : undefined;
+            if (!entry) {
+                throw new Error(`Art direction image "${src}" in ${templatePath} was not found in src/assets/images`);
+            }
+            return { media, entry };
+        });
+    }
+}
+
+/**
+ * Build the sharp encoder options of a format.
+ * @param {ImageFormat} format - Output format.
+ * @param {number | undefined} quality - Configured quality.
+ * @returns {{ quality?: number }} Encoder options.
+ */
+function getFormatOptions(format, quality) {
+    // For PNG, sharp treats `quality` as a request for palette quantization, so the lossless fallback ignores it.
+    return quality === undefined || format === 'png' ? {} : { quality };
+}
+
+/**
+ * Resize and encode one image variant.
+ * @param {string} sourcePath - Absolute source image path.
+ * @param {ImageFormat} format - Output format.
+ * @param {number} width - Output width.
+ * @param {number | undefined} quality - Configured quality.
+ * @param {string} targetPath - Absolute output file path.
+ * @returns {Promise<void>}
+ */
+async function encodeImageVariant(sourcePath, format, width, quality, targetPath) {
+    mkdirSync(dirname(targetPath), { recursive: true });
+    await sharp(sourcePath)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .toFormat(format, getFormatOptions(format, quality))
+        .toFile(targetPath);
+}
+
+/**
+ * Hash the content of a source image; the hash is kept until the file changes.
+ * @param {string} sourcePath - Absolute source image path.
+ * @returns {string} Hex SHA-256 digest.
+ */
+function hashSourceImage(sourcePath) {
+    const { mtimeMs, size } = statSync(sourcePath);
+    const cached = sourceHashCache.get(sourcePath);
+    if (cached && cached.mtimeMs === mtimeMs && cached.size === size) return cached.hash;
+
+    const hash = createHash('sha256').update(readFileSync(sourcePath)).digest('hex');
+    sourceHashCache.set(sourcePath, { mtimeMs, size, hash });
+    return hash;
+}
+
+/**
+ * Encode a variant into `tmp/image-cache` unless it is already there. Cache files are named
+ * after the source content, width, format and encoder options, so edits never reuse stale output.
+ * @param {string} sourcePath - Absolute source image path.
+ * @param {ImageFormat} format - Output format.
+ * @param {number} width - Output width.
+ * @param {number | undefined} quality - Configured quality.
+ * @returns {Promise<{ cachePath: string, cached: boolean }>} Cache file path and whether it already existed.
+ */
+async function encodeCachedVariant(sourcePath, format, width, quality) {
+    const key = createHash('sha256')
+        .update(JSON.stringify([IMAGE_CACHE_FORMAT, hashSourceImage(sourcePath), width, format, getFormatOptions(format, quality)]))
+        .digest('hex');
+    const cachePath = join(IMAGE_CACHE_DIR, `${key}.${IMAGE_FILE_EXTENSIONS[format]}`);
+    if (existsSync(cachePath)) return { cachePath, cached: true };
+
+    // The dev server may request a variant several times while a page loads; encode it once.
+    let pending = pendingEncodes.get(cachePath);
+    if (!pending) {
+        pending = encodeIntoCache().finally(() => pendingEncodes.delete(cachePath));
+        pendingEncodes.set(cachePath, pending);
+    }
+    await pending;
+    return { cachePath, cached: false };
+
+    /**
+     * Encode to a temporary file first, so an interrupted build never leaves a broken cache entry.
+     * @returns {Promise<void>}
+     */
+    async function encodeIntoCache() {
+        const tempPath = `${cachePath}.${process.pid}.tmp`;
+        try {
+            await encodeImageVariant(sourcePath, format, width, quality, tempPath);
+            renameSync(tempPath, cachePath);
+        } finally {
+            rmSync(tempPath, { force: true });
+        }
+    }
+}
+
+/**
+ * Delete cached variants that the current images no longer produce.
+ * @param {Set<string>} usedCachePaths - Absolute cache paths used by this build.
+ * @returns {void}
+ */
+function pruneImageCache(usedCachePaths) {
+    if (!existsSync(IMAGE_CACHE_DIR)) return;
+    for (const fileName of readdirSync(IMAGE_CACHE_DIR)) {
+        const filePath = join(IMAGE_CACHE_DIR, fileName);
+        if (!usedCachePaths.has(filePath)) rmSync(filePath, { force: true });
+    }
 }
 
 /**
- * Emit responsive image files into `build/assets/images`.
+ * Run an async task for every item, at most `limit` at a time.
+ * @template T, R
+ * @param {T[]} items - Items to process.
+ * @param {number} limit - Maximum number of running tasks.
+ * @param {(item: T) => Promise<R>} task - Task to run.
+ * @returns {Promise<R[]>} Results in input order.
+ */
+async function mapWithConcurrency(items, limit, task) {
+    /** @type {R[]} */
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNextTasks));
+    return results;
+
+    /**
+     * Keep taking the next item until none are left.
+     * @returns {Promise<void>}
+     */
+    async function runNextTasks() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await task(items[index]);
+        }
+    }
+}
+
+/**
+ * Create the `imagePlaceholder()` template helper, which returns the placeholder of a source image
+ * for use in CSS, e.g. `background: <%= imagePlaceholder('/assets/images/hero.jpg').color %>`.
+ * @param {ImageTransformOptions} options - Image options of the compile.
+ * @param {string} displayPath - Project-relative template path for error messages.
+ * @returns {(src: string) => ImagePlaceholder} Helper returning `{ color, image }`.
+ */
+export function createImagePlaceholderHelper(options, displayPath) {
+    return imagePlaceholder;
+
+    /**
+     * Look up the placeholder of an image.
+     * @param {string} src - Image URL like `/assets/images/hero.jpg`.
+     * @returns {ImagePlaceholder} Dominant color and blurred thumbnail URL.
+     */
+    function imagePlaceholder(src) {
+        if (!options.imageConfig?.placeholder || !options.imageManifest) {
+            throw new Error(`imagePlaceholder() in ${displayPath} needs "imageConversion.placeholder" in ground-zero config, e.g. 'blur'`);
+        }
+
+        const sourcePath = resolveSourceImagePath(String(src), options.basePath ?? '/');
+        const entry = sourcePath ? options.imageManifest.get(sourcePath) : undefined;
+        if (!entry) {
+            throw new Error(`Image "${src}" used by imagePlaceholder() in ${displayPath} was not found in src/assets/images`);
+        }
+        if (entry.mode !== 'responsive' || !entry.placeholder) {
+            throw new Error(`Image "${src}" used by imagePlaceholder() in ${displayPath} has no placeholder; only raster images get one`);
+        }
+        return entry.placeholder;
+    }
+}
+
+/**
+ * Emit responsive image files into `build/assets/images`. Variants are copied from
+ * `tmp/image-cache` when an earlier build or the dev server already encoded them.
  * @param {Map<string, ResponsiveImageEntry>} manifest - Source image manifest.
  * @param {string} outDir - Absolute output directory.
  * @param {ResponsiveImageConfig} config - Effective image conversion config.
- * @returns {Promise<void>}
+ * @param {{ cache?: boolean, extraVariants?: ImageVariantMatch[] }} [options] - Pass `cache: false` to encode
+ * every variant again; `extraVariants` from `findImageVariantsInHtml()` are emitted too.
+ * @returns {Promise<WrittenImages>} Emitted files and how many came from the cache.
  */
-export async function writeResponsiveImages(manifest, outDir, config) {
-    if (manifest.size === 0) return;
+export async function writeResponsiveImages(manifest, outDir, config, options = {}) {
+    const useCache = options.cache !== false;
+    /** @type {Set<string>} */
+    const usedCachePaths = new Set();
+    /** @type {Map<string, ImageVariantMatch[]>} */
+    const extraVariantsBySource = new Map();
+    for (const variant of options.extraVariants ?? []) {
+        const variants = extraVariantsBySource.get(variant.entry.sourcePath) ?? [];
+        // Several pages may ask for the same variant.
+        if (variants.some((other) => other.relativePath === variant.relativePath)) continue;
+        variants.push(variant);
+        extraVariantsBySource.set(variant.entry.sourcePath, variants);
+    }
+    if (manifest.size === 0) return { files: [], cachedFiles: 0 };
     mkdirSync(outDir, { recursive: true });
 
-    for (const entry of manifest.values()) {
+    const results = await mapWithConcurrency(Array.from(manifest.values()), config.concurrency, writeEntry);
+    if (useCache) pruneImageCache(usedCachePaths);
+
+    return {
+        files: results.flatMap((result) => result.files),
+        cachedFiles: results.reduce((total, result) => total + result.cachedFiles, 0)
+    };
+
+    /**
+     * Emit the files of one source image.
+     * @param {ResponsiveImageEntry} entry - Manifest entry.
+     * @returns {Promise<WrittenImages>} Files of this image.
+     */
+    async function writeEntry(entry) {
         const relativeSourcePath = normalizeSlashes(pathRelative(CWD, entry.sourcePath));
 
         if (entry.mode === 'passthrough') {
@@ -482,28 +1348,38 @@ export async function writeResponsiveImages(manifest, outDir, config) {
             mkdirSync(dirname(targetPath), { recursive: true });
             copyFileSync(entry.sourcePath, targetPath);
             console.log(`[images] copied ${relativeSourcePath}`);
-            continue;
+            return { files: [entry.outputPath], cachedFiles: 0 };
         }
 
-        for (const variant of entry.variants) {
-            const variantPath = pathResolve(outDir, variant.relativePath);
-            mkdirSync(dirname(variantPath), { recursive: true });
-            const pipeline = sharp(entry.sourcePath)
-                .rotate()
-                .resize({ width: variant.width, withoutEnlargement: true });
-
-            if (config.quality === undefined) {
-                await pipeline
-                    .toFormat(config.format)
-                    .toFile(variantPath);
-                continue;
+        /** @type {ImageVariantMatch[]} */
+        const variants = [];
+        for (const imageSet of [...entry.sources, entry.fallback]) {
+            for (const variant of imageSet.variants) {
+                variants.push({ entry, format: imageSet.format, width: variant.width, quality: entry.settings.quality, relativePath: variant.relativePath });
             }
-
-            await pipeline
-                .toFormat(config.format, { quality: config.quality })
-                .toFile(variantPath);
+        }
+        variants.push(...extraVariantsBySource.get(entry.sourcePath) ?? []);
+
+        /** @type {string[]} */
+        const files = [];
+        let cachedFiles = 0;
+        for (const { format, width, quality, relativePath } of variants) {
+            const variantPath = pathResolve(outDir, relativePath);
+            if (useCache) {
+                const { cachePath, cached } = await encodeCachedVariant(entry.sourcePath, format, width, quality);
+                usedCachePaths.add(cachePath);
+                if (cached) cachedFiles += 1;
+                mkdirSync(dirname(variantPath), { recursive: true });
+                copyFileSync(cachePath, variantPath);
+            } else {
+                await encodeImageVariant(entry.sourcePath, format, width, quality, variantPath);
+            }
+            files.push(relativePath);
         }
 
-        console.log(`[images] converted ${relativeSourcePath}`);
+        console.log(cachedFiles === files.length
+            ? `[images] reused ${relativeSourcePath} from cache`
+            : `[images] converted ${relativeSourcePath}`);
+        return { files, cachedFiles };
     }
 }
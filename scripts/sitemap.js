@@ -1,19 +1,19 @@
 import {
-    existsSync,
     mkdirSync,
-    readdirSync,
     readFileSync,
     rmSync,
     statSync,
     writeFileSync
 } from 'node:fs';
-import { join, relative as pathRelative, resolve as pathResolve } from 'node:path';
-import { normalizeBasePath, withBase } from './base-path.js';
+import { relative as pathRelative, resolve as pathResolve } from 'node:path';
+import { normalizeBasePath, normalizeSiteUrl, withBase } from './base-path.js';
 import { loadProjectConfig } from './project-config.js';
-import { assertNoPageOutputCollisions, getPagePathInfo } from './page-paths.js';
+import { collectPageEntries } from './compile-ejs.js';
+import { readTemplateMetaBlock } from './template-meta.js';
+import { isMarkdownFile, readMarkdownFile } from './markdown-pages.js';
+import { normalizeI18nConfig } from './i18n.js';
 
 const CWD = process.cwd();
-const PAGES_DIR = pathResolve(CWD, 'src/pages');
 const SITEMAP_BLOCK_TAG = '@ground-zero-sitemap';
 const CHANGEFREQ_VALUES = new Set([
     'always',
@@ -43,6 +43,16 @@ const CHANGEFREQ_VALUES = new Set([
  * @property {string} basePath
  * @property {{ changefreq: SitemapChangefreq, priority: number }} defaults
  * @property {string[]} robotsDisallow
+ * @property {string | undefined} [defaultLocale]
+ */
+
+/**
+ * @typedef {Object} SitemapEntry
+ * @property {string} loc
+ * @property {string} lastmod
+ * @property {SitemapChangefreq} changefreq
+ * @property {number} priority
+ * @property {Array<{ hreflang: string, href: string }>} alternates
  */
 
 /**
@@ -130,34 +140,6 @@ function validateSitemapMeta(input, label, options) {
     return meta;
 }
 
-/**
- * Normalize and validate the configured site URL.
- * @param {string} siteUrl - Raw site URL from config.
- * @returns {string} Canonical site origin without a trailing slash.
- */
-function normalizeSiteUrl(siteUrl) {
-    let url;
-    try {
-        url = new URL(siteUrl);
-    } catch {
-        throw new Error(`Invalid "siteUrl" in ground-zero config: ${siteUrl}`);
-    }
-
-    if (!/^https?:$/.test(url.protocol)) {
-        throw new Error(`Invalid "siteUrl" protocol in ground-zero config: ${siteUrl}`);
-    }
-
-    if (url.search || url.hash) {
-        throw new Error('"siteUrl" in ground-zero config must not contain query or hash segments');
-    }
-
-    if (url.pathname !== '/' && url.pathname !== '') {
-        throw new Error('"siteUrl" in ground-zero config must not contain a path; use "basePath" for subdirectory deploys');
-    }
-
-    return url.origin;
-}
-
 /**
  * Load sitemap-related settings from project config.
  * @returns {Promise<SitemapBuildConfig>} Effective sitemap configuration.
@@ -206,6 +188,7 @@ async function loadSitemapBuildConfig() {
         enabled: sitemapEnabled,
         siteUrl: rawSiteUrl ? normalizeSiteUrl(rawSiteUrl) : undefined,
         basePath: normalizeBasePath(userConfig.basePath),
+        defaultLocale: normalizeI18nConfig(userConfig.i18n)?.defaultLocale,
         defaults: {
             changefreq: defaults.changefreq ?? 'monthly',
             priority: defaults.priority ?? 0.5
@@ -214,42 +197,6 @@ async function loadSitemapBuildConfig() {
     };
 }
 
-/**
- * Recursively collect `.ejs` page files under `src/pages`.
- * @param {string} dir - Directory to scan.
- * @returns {string[]} Absolute page file paths.
- */
-function walkPageFiles(dir) {
-    /** @type {string[]} */
-    const pages = [];
-    if (!existsSync(dir)) return pages;
-
-    for (const entry of readdirSync(dir)) {
-        const entryPath = join(dir, entry);
-        const stats = statSync(entryPath);
-        if (stats.isDirectory()) {
-            pages.push(...walkPageFiles(entryPath));
-            continue;
-        }
-
-        if (entryPath.endsWith('.ejs')) {
-            pages.push(entryPath);
-        }
-    }
-
-    return pages;
-}
-
-/**
- * Turn a page file path into its public route.
- * @param {string} pageFile - Absolute page file path.
- * @param {string} basePath - Normalized deploy base path.
- * @returns {string} Public route path.
- */
-function getPageRoute(pageFile, basePath) {
-    return withBase(getPagePathInfo(PAGES_DIR, pageFile).route, basePath);
-}
-
 /**
  * Join a route path to the configured site URL without losing path prefixes.
  * @param {string} siteUrl - Canonical site URL.
@@ -261,89 +208,90 @@ function toAbsolutePageUrl(siteUrl, route) {
 }
 
 /**
- * Read per-page sitemap metadata from an EJS comment block.
+ * Read per-page sitemap metadata from a Markdown `sitemap` front matter field.
+ * @param {string} pageFile - Absolute Markdown page path.
+ * @param {string} displayPath - Project-relative page path for error messages.
+ * @returns {SitemapMeta} Parsed page metadata.
+ */
+function readMarkdownSitemapMeta(pageFile, displayPath) {
+    const { frontMatter } = readMarkdownFile(pageFile);
+    if (frontMatter.sitemap === undefined) return {};
+    if (!isPlainObject(frontMatter.sitemap)) {
+        throw new Error(`Expected "sitemap" front matter to be an object in ${displayPath}`);
+    }
+
+    return validateSitemapMeta(frontMatter.sitemap, `"sitemap" front matter in ${displayPath}`, { allowExclude: true });
+}
+
+/**
+ * Read per-page sitemap metadata from an EJS comment block or Markdown front matter.
  * @param {string} pageFile - Absolute page file path.
  * @returns {SitemapMeta} Parsed page metadata.
  */
 function readPageSitemapMeta(pageFile) {
-    const source = readFileSync(pageFile, 'utf8');
     const displayPath = normalizeSlashes(pathRelative(CWD, pageFile));
-    const blockMatches = source.matchAll(/<%#([\s\S]*?)%>/g);
-    /** @type {SitemapMeta | null} */
-    let meta = null;
-
-    for (const match of blockMatches) {
-        const block = match[1];
-        const tagIndex = block.indexOf(SITEMAP_BLOCK_TAG);
-        if (tagIndex === -1) continue;
-
-        if (meta) {
-            throw new Error(`Multiple ${SITEMAP_BLOCK_TAG} blocks found in ${displayPath}`);
-        }
-
-        const rawJson = block.slice(tagIndex + SITEMAP_BLOCK_TAG.length).trim();
-        if (!rawJson) {
-            throw new Error(`Missing JSON payload after ${SITEMAP_BLOCK_TAG} in ${displayPath}`);
-        }
-
-        let parsed;
-        try {
-            parsed = JSON.parse(rawJson);
-        } catch (error) {
-            const message = error instanceof Error ? error.message : String(error);
-            throw new Error(`Invalid ${SITEMAP_BLOCK_TAG} JSON in ${displayPath}: ${message}`);
-        }
-
-        if (!isPlainObject(parsed)) {
-            throw new Error(`Expected ${SITEMAP_BLOCK_TAG} metadata to be an object in ${displayPath}`);
-        }
-
-        meta = validateSitemapMeta(parsed, `${SITEMAP_BLOCK_TAG} in ${displayPath}`, { allowExclude: true });
+    if (isMarkdownFile(pageFile)) {
+        return readMarkdownSitemapMeta(pageFile, displayPath);
     }
 
-    return meta ?? {};
+    const source = readFileSync(pageFile, 'utf8');
+    const meta = readTemplateMetaBlock(source, SITEMAP_BLOCK_TAG, displayPath);
+    if (!meta) return {};
+
+    return validateSitemapMeta(meta, `${SITEMAP_BLOCK_TAG} in ${displayPath}`, { allowExclude: true });
 }
 
 /**
- * Build sitemap entry objects from the page tree.
+ * Build sitemap entry objects from the page tree, including generated dynamic routes.
  * @param {SitemapBuildConfig} config - Effective sitemap configuration.
- * @returns {Array<{ loc: string, lastmod: string, changefreq: SitemapChangefreq, priority: number }>}
- * Sitemap URL entries.
+ * @returns {Promise<SitemapEntry[]>} Sitemap URL entries.
  */
-function buildSitemapEntries(config) {
+async function buildSitemapEntries(config) {
     const siteUrl = config.siteUrl;
     const basePath = config.basePath;
     if (!siteUrl) {
         throw new Error('Missing "siteUrl" in ground-zero config; sitemap generation requires it');
     }
 
-    const pageFiles = walkPageFiles(PAGES_DIR).sort((leftPage, rightPage) => {
-        const leftRoute = getPageRoute(leftPage, basePath);
-        const rightRoute = getPageRoute(rightPage, basePath);
-        const rootRoute = withBase('/', basePath);
-
-        if (leftRoute === rightRoute) return 0;
-        if (leftRoute === rootRoute) return -1;
-        if (rightRoute === rootRoute) return 1;
+    const rootRoute = withBase('/', basePath);
+    const pageEntries = (await collectPageEntries())
+        .map((pageEntry) => ({ ...pageEntry, route: withBase(pageEntry.route, basePath) }))
+        .sort((leftPage, rightPage) => {
+            if (leftPage.route === rightPage.route) return 0;
+            if (leftPage.route === rootRoute) return -1;
+            if (rightPage.route === rootRoute) return 1;
 
-        return leftRoute.localeCompare(rightRoute);
-    });
-    assertNoPageOutputCollisions(PAGES_DIR, pageFiles);
-    /** @type {Array<{ loc: string, lastmod: string, changefreq: SitemapChangefreq, priority: number }>} */
+            return leftPage.route.localeCompare(rightPage.route);
+        });
+    /** @type {Map<string, SitemapMeta>} */
+    const metaByTemplate = new Map();
+    /** @type {SitemapEntry[]} */
     const entries = [];
 
-    for (const pageFile of pageFiles) {
-        const meta = readPageSitemapMeta(pageFile);
+    for (const pageEntry of pageEntries) {
+        let meta = metaByTemplate.get(pageEntry.templatePath);
+        if (!meta) {
+            meta = readPageSitemapMeta(pageEntry.templatePath);
+            metaByTemplate.set(pageEntry.templatePath, meta);
+        }
         if (meta.exclude) continue;
 
-        const route = getPageRoute(pageFile, basePath);
-        const stats = statSync(pageFile);
+        const stats = statSync(pageEntry.templatePath);
+        const alternates = pageEntry.alternates.map((alternate) => ({
+            hreflang: alternate.locale,
+            href: toAbsolutePageUrl(siteUrl, withBase(alternate.route, basePath))
+        }));
+        const defaultAlternate = alternates.find((alternate) => alternate.hreflang === config.defaultLocale);
+        if (defaultAlternate) {
+            alternates.push({ hreflang: 'x-default', href: defaultAlternate.href });
+        }
 
         entries.push({
-            loc: toAbsolutePageUrl(siteUrl, route),
+            loc: toAbsolutePageUrl(siteUrl, pageEntry.route),
             lastmod: stats.mtime.toISOString(),
             changefreq: meta.changefreq ?? config.defaults.changefreq,
-            priority: meta.priority ?? config.defaults.priority
+            priority: meta.priority ?? config.defaults.priority,
+            alternates
         });
     }
 
@@ -352,15 +300,18 @@ function buildSitemapEntries(config) {
 
 /**
  * Render sitemap XML from collected page entries.
- * @param {Array<{ loc: string, lastmod: string, changefreq: SitemapChangefreq, priority: number }>} entries
- * Sitemap entries.
+ * Translated pages list every locale version as `xhtml:link` alternates.
+ * @param {SitemapEntry[]} entries - Sitemap entries.
  * @returns {string} XML sitemap contents.
  */
 function renderSitemapXml(entries) {
+    const hasAlternates = entries.some((entry) => entry.alternates.length);
     /** @type {string[]} */
     const lines = [
         '<?xml version="1.0" encoding="UTF-8"?>',
-        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+        hasAlternates
+            ? '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">'
+            : '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
     ];
 
     for (const entry of entries) {
@@ -369,6 +320,9 @@ function renderSitemapXml(entries) {
         lines.push(`        <lastmod>${escapeXml(entry.lastmod)}</lastmod>`);
         lines.push(`        <changefreq>${entry.changefreq}</changefreq>`);
         lines.push(`        <priority>${String(entry.priority)}</priority>`);
+        for (const alternate of entry.alternates) {
+            lines.push(`        <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.hreflang)}" href="${escapeXml(alternate.href)}"/>`);
+        }
         lines.push('    </url>');
     }
 
@@ -412,7 +366,7 @@ export async function writeSitemapFiles(outDir) {
 
     mkdirSync(outDir, { recursive: true });
     if (config.enabled) {
-        const entries = buildSitemapEntries(config);
+        const entries = await buildSitemapEntries(config);
         writeFileSync(sitemapPath, renderSitemapXml(entries));
         console.log(`[sitemap] wrote ${entries.length} URL entries`);
     } else {
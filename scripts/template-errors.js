@@ -0,0 +1,316 @@
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, extname, relative as pathRelative, resolve as pathResolve } from 'node:path';
+import { createCodeFrame } from './code-frame.js';
+
+const CWD = process.cwd();
+const EJS_CONTEXT_LINE_RX = /^(?: >> |    )\d+\| /;
+const EJS_LOCATION_LINE_RX = /^(.+):(\d+)$/;
+const EJS_COMPILE_ERROR_RX = /^([\s\S]*?) in (.+?\.ejs) while compiling ejs/;
+const EJS_UNCLOSED_TAG_RX = /^Could not find matching close tag for "/;
+const INCLUDE_CALL_RX = /\binclude\(\s*['"]([^'"]+)['"]/;
+
+/**
+ * One step of the include chain, from the page down to the template that failed.
+ * @typedef {Object} TemplateLocation
+ * @property {string} file - Absolute template path.
+ * @property {number} [line] - 1-based line of the `include()` call or failing code, when known.
+ */
+
+/**
+ * @typedef {Object} TemplateErrorDetails
+ * @property {string} reason - Original error message without EJS context lines.
+ * @property {string} pageFile - Absolute path of the page being compiled.
+ * @property {string} file - Absolute path of the template that failed.
+ * @property {number} [line] - 1-based line in `file`, when known.
+ * @property {number} [column] - 1-based column in `file`, when known.
+ * @property {TemplateLocation[]} includeChain - Page → layout → partial → component chain.
+ * @property {string} snippet - Code frame around the failing line, or an empty string.
+ * @property {unknown} [cause] - Original thrown value.
+ */
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Format a template location for messages, e.g. `src/partials/footer.ejs:10`.
+ * @param {string} file - Absolute file path.
+ * @param {number} [line] - 1-based line number.
+ * @param {number} [column] - 1-based column number.
+ * @returns {string} Project-relative location.
+ */
+function formatLocation(file, line, column) {
+    const displayPath = normalizeSlashes(pathRelative(CWD, file));
+    if (!line) return displayPath;
+    return column ? `${displayPath}:${line}:${column}` : `${displayPath}:${line}`;
+}
+
+/**
+ * Error thrown when a page template fails to compile or render.
+ * Carries the failing template, its line/column, the include chain and a code snippet.
+ */
+export class TemplateError extends Error {
+    /**
+     * @param {TemplateErrorDetails} details - Structured error details.
+     */
+    constructor(details) {
+        const chain = details.includeChain
+            .map((location) => formatLocation(location.file, location.line))
+            .join(' → ');
+        const messageLines = [
+            details.reason,
+            `    at ${formatLocation(details.file, details.line, details.column)}`
+        ];
+        if (details.includeChain.length > 1) messageLines.push(`    include chain: ${chain}`);
+        if (details.snippet) messageLines.push('', details.snippet);
+
+        super(messageLines.join('\n'), { cause: details.cause });
+        this.name = 'TemplateError';
+        this.reason = details.reason;
+        this.pageFile = details.pageFile;
+        this.file = details.file;
+        this.line = details.line;
+        this.column = details.column;
+        this.includeChain = details.includeChain;
+        this.snippet = details.snippet;
+    }
+}
+
+/**
+ * Error thrown after a build pass in which one or more pages failed.
+ * Every failing page is reported, not only the first one.
+ */
+export class CompileErrors extends Error {
+    /**
+     * @param {Error[]} errors - One error per failing page.
+     */
+    constructor(errors) {
+        const heading = errors.length === 1 ? '1 page failed to compile:' : `${errors.length} pages failed to compile:`;
+        super([heading, ...errors.map((error) => error.message)].join('\n\n'));
+        this.name = 'CompileErrors';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Format a compile failure for the terminal: structured errors print their message only,
+ * other errors keep their stack trace.
+ * @param {unknown} err - Thrown value.
+ * @returns {unknown} Value to pass to `console.error()`.
+ */
+export function formatCompileError(err) {
+    if (err instanceof TemplateError || err instanceof CompileErrors) return err.message;
+    return err;
+}
+
+/**
+ * Split an error message rewritten by EJS into its include chain and the original message.
+ * EJS prefixes `file:line` and a few context lines once per include level, outermost first.
+ * @param {string} message - Error message.
+ * @returns {{ chain: Required<TemplateLocation>[], reason: string }} Parsed chain and message.
+ */
+function parseEjsErrorMessage(message) {
+    const lines = message.split('\n');
+    /** @type {Required<TemplateLocation>[]} */
+    const chain = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const locationMatch = EJS_LOCATION_LINE_RX.exec(lines[index]);
+        if (!locationMatch || !EJS_CONTEXT_LINE_RX.test(lines[index + 1] ?? '')) break;
+
+        chain.push({ file: locationMatch[1], line: Number(locationMatch[2]) });
+        index += 1;
+        while (index < lines.length && EJS_CONTEXT_LINE_RX.test(lines[index])) index += 1;
+        if (lines[index] === '') index += 1;
+    }
+
+    return { chain, reason: lines.slice(index).join('\n') };
+}
+
+/**
+ * Read a template source, or an empty string when the file is gone.
+ * @param {string} file - Absolute template path.
+ * @returns {string} Template source.
+ */
+function readTemplateSource(file) {
+    return existsSync(file) ? readFileSync(file, 'utf8') : '';
+}
+
+/**
+ * Resolve the template named by the `include()` call on a source line.
+ * @param {string} fromFile - Template containing the call.
+ * @param {string} sourceLine - Source line with the call.
+ * @returns {string} Absolute include path, or an empty string when the line has no include.
+ */
+function resolveIncludeOnLine(fromFile, sourceLine) {
+    const includePath = INCLUDE_CALL_RX.exec(sourceLine)?.[1];
+    if (!includePath) return '';
+    const resolvedPath = pathResolve(dirname(fromFile), includePath);
+    return extname(resolvedPath) ? resolvedPath : `${resolvedPath}.ejs`;
+}
+
+/**
+ * Find the first `<%` tag that is never closed.
+ * @param {string} source - Template source.
+ * @returns {{ line: number, column: number } | null} Location of the tag, or `null` when every tag is closed.
+ */
+function findUnclosedTag(source) {
+    let position = 0;
+
+    while (position < source.length) {
+        const openIndex = source.indexOf('<%', position);
+        if (openIndex === -1) return null;
+        if (source[openIndex + 2] === '%') {
+            position = openIndex + 3;
+            continue;
+        }
+
+        const closeIndex = source.indexOf('%>', openIndex + 2);
+        if (closeIndex === -1) {
+            const textBefore = source.slice(0, openIndex);
+            return {
+                line: textBefore.split('\n').length,
+                column: openIndex - textBefore.lastIndexOf('\n')
+            };
+        }
+        position = closeIndex + 2;
+    }
+
+    return null;
+}
+
+/**
+ * Guess the column of a runtime error by locating the name it mentions on the failing line.
+ * @param {string} reason - Original error message.
+ * @param {string} sourceLine - Failing source line.
+ * @returns {number | undefined} 1-based column, or `undefined` when the name is not found.
+ */
+function findErrorColumn(reason, sourceLine) {
+    const name = /^(\S+) is not (?:defined|a function)/.exec(reason)?.[1]
+        ?? /^Cannot read properties of (?:undefined|null) \(reading '([^']+)'\)/.exec(reason)?.[1]
+        ?? /^Could not find the include file "([^"]+)"/.exec(reason)?.[1];
+    if (!name) return undefined;
+
+    const index = sourceLine.indexOf(name);
+    return index === -1 ? undefined : index + 1;
+}
+
+/**
+ * Convert an error thrown by `ejs.render()` into a `TemplateError` that points at the template
+ * that actually failed, with the include chain from the page down to it.
+ * @param {unknown} err - Thrown value.
+ * @param {{ pageFile: string, templateFile: string }} target - Page being compiled and the template
+ * passed to `ejs.render()` (the page itself or one of its layouts).
+ * @returns {Error} A `TemplateError`, or the original error when it carries no template location.
+ */
+export function toTemplateError(err, target) {
+    if (err instanceof TemplateError) return err;
+    const error = err instanceof Error ? err : new Error(String(err));
+    const { chain, reason: rawReason } = parseEjsErrorMessage(error.message);
+    /** @type {TemplateLocation[]} */
+    const includeChain = [...chain];
+    let reason = rawReason;
+
+    if (!includeChain.length || includeChain[0].file !== target.templateFile) {
+        includeChain.unshift({ file: target.templateFile });
+    }
+    if (includeChain[0].file !== target.pageFile) {
+        includeChain.unshift({ file: target.pageFile });
+    }
+
+    const compileError = EJS_COMPILE_ERROR_RX.exec(reason);
+    const isUnclosedTag = EJS_UNCLOSED_TAG_RX.test(reason);
+    if (compileError) {
+        // JavaScript syntax errors name the template that failed to compile, but no line.
+        reason = compileError[1];
+        const compiledFile = compileError[2];
+        if (includeChain[includeChain.length - 1].file !== compiledFile) includeChain.push({ file: compiledFile });
+    } else if (isUnclosedTag) {
+        // Unclosed tags in an include are reported on the parent's include() line.
+        const parent = includeChain[includeChain.length - 1];
+        const parentLine = parent.line ? readTemplateSource(parent.file).split(/\r?\n/)[parent.line - 1] ?? '' : '';
+        const includedFile = resolveIncludeOnLine(parent.file, parentLine);
+        if (includedFile) includeChain.push({ file: includedFile });
+    } else if (!chain.length) {
+        return error;
+    }
+
+    const failing = includeChain[includeChain.length - 1];
+    const source = readTemplateSource(failing.file);
+    let { line } = failing;
+    /** @type {number | undefined} */
+    let column;
+    if (isUnclosedTag && !line) {
+        const tagLocation = findUnclosedTag(source);
+        line = tagLocation?.line;
+        column = tagLocation?.column;
+    } else if (line) {
+        column = findErrorColumn(reason, source.split(/\r?\n/)[line - 1] ?? '');
+    }
+
+    return new TemplateError({
+        reason,
+        pageFile: target.pageFile,
+        file: failing.file,
+        line,
+        column,
+        includeChain,
+        snippet: line && source ? createCodeFrame(source, line, column) : '',
+        cause: err
+    });
+}
+
+/**
+ * @typedef {Object} SerializedError
+ * @property {string} name - Error name.
+ * @property {string} message - Error message.
+ * @property {string} [stack] - Stack trace.
+ * @property {Omit<TemplateErrorDetails, 'cause'>} [details] - Structured details of a `TemplateError`.
+ */
+
+/**
+ * Convert a thrown value into plain data that can be posted from a worker thread.
+ * Worker messages drop custom error fields, so template error details are copied explicitly.
+ * @param {unknown} err - Thrown value.
+ * @returns {SerializedError} Plain error data.
+ */
+export function serializeError(err) {
+    if (err instanceof TemplateError) {
+        return {
+            name: err.name,
+            message: err.message,
+            details: {
+                reason: err.reason,
+                pageFile: err.pageFile,
+                file: err.file,
+                line: err.line,
+                column: err.column,
+                includeChain: err.includeChain,
+                snippet: err.snippet
+            }
+        };
+    }
+
+    const error = err instanceof Error ? err : new Error(String(err));
+    return { name: error.name, message: error.message, stack: error.stack };
+}
+
+/**
+ * Restore an error posted by `serializeError()`.
+ * @param {SerializedError} value - Plain error data.
+ * @returns {Error} A `TemplateError`, or a plain error with the original name and stack.
+ */
+export function deserializeError(value) {
+    if (value.details) return new TemplateError(value.details);
+
+    const error = new Error(value.message);
+    error.name = value.name;
+    if (value.stack) error.stack = value.stack;
+    return error;
+}
@@ -0,0 +1,211 @@
+import { existsSync, readdirSync, statSync } from 'node:fs';
+import { join, relative as pathRelative, sep as pathSep } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { loadProjectConfig } from './project-config.js';
+import { renderMarkdown } from './markdown-pages.js';
+
+const CWD = process.cwd();
+const HELPERS_DIR = join(CWD, 'src/helpers');
+const HELPER_FILE_EXTENSIONS = ['.js', '.mjs'];
+const HELPER_NAME_RX = /^[A-Za-z_$][\w$]*$/;
+// Fallback for sites without `i18n`, so output does not depend on the machine's locale.
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * @typedef {Record<string, Function>} TemplateHelpers
+ */
+
+/**
+ * Normalize Windows separators for display paths.
+ * @param {string} value - File system path fragment.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeSlashes(value) {
+    return value.replaceAll('\\', '/');
+}
+
+/**
+ * Check whether a value is a plain object.
+ * @param {unknown} value - Unknown runtime value.
+ * @returns {value is Record<string, unknown>} `true` when the value is a plain object.
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a file is a helper module directly in `src/helpers`.
+ * @param {string} filePath - Absolute file path.
+ * @returns {boolean} `true` for `src/helpers/*.js` and `src/helpers/*.mjs`.
+ */
+export function isHelperFile(filePath) {
+    return filePath.startsWith(`${HELPERS_DIR}${pathSep}`)
+        && !filePath.slice(HELPERS_DIR.length + 1).includes(pathSep)
+        && HELPER_FILE_EXTENSIONS.some((extension) => filePath.endsWith(extension));
+}
+
+/**
+ * List the helper modules in `src/helpers`, sorted by name.
+ * @returns {string[]} Absolute helper module paths.
+ */
+export function listHelperFiles() {
+    if (!existsSync(HELPERS_DIR)) return [];
+    return readdirSync(HELPERS_DIR)
+        .map((fileName) => join(HELPERS_DIR, fileName))
+        .filter(isHelperFile)
+        .sort();
+}
+
+/**
+ * Import a helper module; every named function export becomes a helper.
+ * The import URL changes with the file's modification time and size, so dev rebuilds see edits
+ * while an unchanged module is evaluated only once per process.
+ * @param {string} filePath - Absolute helper module path.
+ * @returns {Promise<Record<string, unknown>>} Helpers by export name.
+ */
+async function readHelperModule(filePath) {
+    const displayPath = normalizeSlashes(pathRelative(CWD, filePath));
+    /** @type {Record<string, unknown>} */
+    let moduleExports;
+    try {
+        const { mtimeMs, size } = statSync(filePath);
+        moduleExports = await import(`${pathToFileURL(filePath).href}?v=${mtimeMs}-${size}`);
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        throw new Error(`Failed to load helper module ${displayPath}: ${errorMessage}`);
+    }
+
+    if ('default' in moduleExports) {
+        throw new Error(`Helper module ${displayPath} has a default export; export each helper by name, e.g. export function slugify(text) {}`);
+    }
+    return Object.fromEntries(Object.entries(moduleExports).filter(([, value]) => typeof value === 'function'));
+}
+
+/**
+ * Validate the optional `helpers` object of the ground-zero config.
+ * @param {unknown} value - Raw config value.
+ * @returns {Record<string, unknown>} Helpers by name.
+ */
+function normalizeConfigHelpers(value) {
+    if (value === undefined || value === null) return {};
+    if (!isPlainObject(value)) {
+        throw new Error('Expected "helpers" in ground-zero config to be an object of functions like { year: () => 2025 }');
+    }
+    for (const [name, helper] of Object.entries(value)) {
+        if (typeof helper !== 'function') {
+            throw new Error(`Expected helper "${name}" in ground-zero config to be a function`);
+        }
+    }
+    return value;
+}
+
+/**
+ * Load the helpers from the `helpers` config option, `src/helpers/*.js` and plugins.
+ * A helper may replace a built-in helper such as `formatDate`, but not a template variable
+ * set by ground-zero, and two sources may not add the same name.
+ * @param {import('./plugins.js').GroundZeroPlugin[]} plugins - Validated plugins.
+ * @param {Set<string>} reservedNames - Template variables set by ground-zero itself.
+ * @returns {Promise<TemplateHelpers>} Helpers by name.
+ */
+export async function loadTemplateHelpers(plugins, reservedNames) {
+    const userConfig = await loadProjectConfig();
+    /** @type {Array<{ source: string, helpers: Record<string, unknown> }>} */
+    const sources = [{ source: '"helpers" in ground-zero config', helpers: normalizeConfigHelpers(userConfig.helpers) }];
+    for (const filePath of listHelperFiles()) {
+        sources.push({ source: normalizeSlashes(pathRelative(CWD, filePath)), helpers: await readHelperModule(filePath) });
+    }
+    for (const plugin of plugins) {
+        if (plugin.helpers) sources.push({ source: `plugin "${plugin.name}"`, helpers: plugin.helpers });
+    }
+
+    /** @type {TemplateHelpers} */
+    const helpers = {};
+    /** @type {Map<string, string>} */
+    const helperSources = new Map();
+    for (const { source, helpers: sourceHelpers } of sources) {
+        for (const [name, helper] of Object.entries(sourceHelpers)) {
+            if (!HELPER_NAME_RX.test(name)) {
+                throw new Error(`Invalid helper name "${name}" in ${source}; use a JavaScript identifier like "formatDate"`);
+            }
+            if (reservedNames.has(name)) {
+                throw new Error(`Helper "${name}" from ${source} collides with the built-in template variable "${name}"; rename the helper`);
+            }
+            const previousSource = helperSources.get(name);
+            if (previousSource) {
+                throw new Error(`Helper "${name}" is defined twice: in ${previousSource} and in ${source}`);
+            }
+            helperSources.set(name, source);
+            helpers[name] = /** @type {Function} */ (helper);
+        }
+    }
+
+    return helpers;
+}
+
+/**
+ * Create the built-in helpers for one page. Dates and numbers are formatted for the page locale.
+ * @param {string} [locale] - Page locale, defaults to English.
+ * @returns {TemplateHelpers} Built-in helpers.
+ */
+export function createBuiltInHelpers(locale = DEFAULT_LOCALE) {
+    return { formatDate, formatNumber, formatCurrency, slugify, markdown };
+
+    /**
+     * Format a date, e.g. `formatDate('2025-03-01')` → `Mar 1, 2025`.
+     * Dates are shown in UTC unless `options.timeZone` is set, so builds do not depend on the machine's time zone.
+     * @param {Date | string | number} value - Date, ISO date string or timestamp.
+     * @param {Intl.DateTimeFormatOptions} [options] - `Intl.DateTimeFormat` options.
+     * @returns {string} Formatted date.
+     */
+    function formatDate(value, options = { dateStyle: 'medium' }) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`formatDate() received an invalid date: ${JSON.stringify(value)}`);
+        }
+        return new Intl.DateTimeFormat(locale, { timeZone: 'UTC', ...options }).format(date);
+    }
+
+    /**
+     * Format a number with locale grouping, e.g. `formatNumber(12500)` → `12,500`.
+     * @param {number} value - Number to format.
+     * @param {Intl.NumberFormatOptions} [options] - `Intl.NumberFormat` options.
+     * @returns {string} Formatted number.
+     */
+    function formatNumber(value, options) {
+        return new Intl.NumberFormat(locale, options).format(value);
+    }
+
+    /**
+     * Format an amount of money, e.g. `formatCurrency(19.9, 'EUR')` → `€19.90`.
+     * @param {number} value - Amount.
+     * @param {string} currency - ISO 4217 currency code.
+     * @param {Intl.NumberFormatOptions} [options] - Extra `Intl.NumberFormat` options.
+     * @returns {string} Formatted amount.
+     */
+    function formatCurrency(value, currency, options) {
+        return new Intl.NumberFormat(locale, { ...options, style: 'currency', currency }).format(value);
+    }
+}
+
+/**
+ * Turn text into a URL slug, e.g. `Crème Brûlée!` → `creme-brulee`.
+ * @param {unknown} value - Text to convert.
+ * @returns {string} Lowercase slug with hyphens.
+ */
+function slugify(value) {
+    return String(value ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Render Markdown text to HTML; print it with `<%- %>`.
+ * @param {unknown} value - Markdown source.
+ * @returns {string} HTML.
+ */
+function markdown(value) {
+    return renderMarkdown(String(value ?? ''));
+}
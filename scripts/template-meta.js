@@ -0,0 +1,51 @@
+/**
+ * Check whether a value is a plain object.
+ * @param {unknown} value - Unknown runtime value.
+ * @returns {value is Record<string, unknown>} `true` when the value is a plain object.
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read a JSON metadata block such as `@ground-zero-sitemap` from EJS comments.
+ * @param {string} source - Raw template source, including comments.
+ * @param {string} tag - Block tag, e.g. `@ground-zero-sitemap`.
+ * @param {string} displayPath - Project-relative template path for error messages.
+ * @returns {Record<string, unknown> | null} Parsed block object, or `null` when the tag is absent.
+ */
+export function readTemplateMetaBlock(source, tag, displayPath) {
+    /** @type {Record<string, unknown> | null} */
+    let meta = null;
+
+    for (const match of source.matchAll(/<%#([\s\S]*?)%>/g)) {
+        const block = match[1];
+        const tagIndex = block.indexOf(tag);
+        if (tagIndex === -1) continue;
+
+        if (meta) {
+            throw new Error(`Multiple ${tag} blocks found in ${displayPath}`);
+        }
+
+        const rawJson = block.slice(tagIndex + tag.length).trim();
+        if (!rawJson) {
+            throw new Error(`Missing JSON payload after ${tag} in ${displayPath}`);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(rawJson);
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            throw new Error(`Invalid ${tag} JSON in ${displayPath}: ${message}`);
+        }
+
+        if (!isPlainObject(parsed)) {
+            throw new Error(`Expected ${tag} metadata to be an object in ${displayPath}`);
+        }
+
+        meta = parsed;
+    }
+
+    return meta;
+}
@@ -0,0 +1,15 @@
+declare module 'picomatch' {
+    export interface PicomatchOptions {
+        dot?: boolean;
+        nocase?: boolean;
+        [key: string]: unknown;
+    }
+
+    interface Picomatch {
+        (glob: string | string[], options?: PicomatchOptions): (input: string) => boolean;
+        isMatch(input: string, glob: string | string[], options?: PicomatchOptions): boolean;
+    }
+
+    const picomatch: Picomatch;
+    export default picomatch;
+}
@@ -1,8 +1,20 @@
 import { defineConfig } from 'vite';
-import { resolve as pathResolve, isAbsolute as pathIsAbsolute, extname, sep as pathSep } from 'node:path';
+import { resolve as pathResolve, isAbsolute as pathIsAbsolute, dirname, extname, sep as pathSep } from 'node:path';
 import { existsSync, readdirSync, statSync } from 'node:fs';
-import { loadBasePath } from './scripts/base-path.js';
-import { compileAll, compilePage, buildDependencyGraph, getImpactedPages } from './scripts/compile-ejs.js';
+import { loadBasePath, withBase } from './scripts/base-path.js';
+import {
+    compileAll,
+    compilePage,
+    buildDependencyGraph,
+    getImpactedPages,
+    getPagesReadingData,
+    collectPageEntries,
+    loadPageDependencies
+} from './scripts/compile-ejs.js';
+import { getPageDataOwner, isPageDataFile } from './scripts/page-data.js';
+import { DATA_FILE_EXTENSIONS } from './scripts/data-files.js';
+import { createErrorOverlayDetails } from './scripts/error-overlay.js';
+import { COMPONENT_GALLERY_ROUTE, isComponentFixtureFile, renderComponentGallery } from './scripts/component-gallery.js';
 import {
     isExistingFile,
     isSourceAssetUrl,
@@ -11,15 +23,22 @@ import {
 } from './scripts/assets.js';
 import { browserSyncPlugin } from './scripts/browser-sync-plugin.js';
 import { generateSvgSprite } from './scripts/svg-sprite.js';
+import { getVitePlugins, loadPlugins } from './scripts/plugins.js';
+import { isHelperFile } from './scripts/template-helpers.js';
+import { isComponentFile } from './scripts/component-props.js';
+import { findImageVariant, loadResponsiveImageOptions, writeDevImageVariant } from './scripts/responsive-images.js';
+import { findProjectConfigFile } from './scripts/project-config.js';
 
 const PROJECT_ROOT = process.cwd();
 const HTML_ROOT = process.env.GZERO_HTML_ROOT
     ? pathResolve(PROJECT_ROOT, process.env.GZERO_HTML_ROOT)
     : pathResolve(PROJECT_ROOT, 'dev-html');
+// Set by `gzero`, which compiles the pages before it starts Vite in a separate process.
+const PAGE_DEPENDENCIES_FILE = process.env.GZERO_PAGE_DEPENDENCIES;
 
 /**
  * Return the output pattern for Vite-emitted bundles and imported assets.
- * @param {import('rollup').PreRenderedAsset} assetInfo - Rollup asset metadata.
+ * @param {import('vite').Rollup.PreRenderedAsset} assetInfo - Rollup asset metadata.
  * @returns {string} Rollup output pattern.
  */
 function getBundledAssetFileName(assetInfo) {
@@ -40,6 +59,54 @@ function getBundledAssetFileName(assetInfo) {
     return 'assets/misc/[name]-[hash][extname]';
 }
 
+/**
+ * @typedef {Awaited<ReturnType<typeof loadResponsiveImageOptions>>} DevImageTransformOptions
+ */
+
+/**
+ * @typedef {Object} DevImageOptions
+ * @property {() => Promise<DevImageTransformOptions>} load - Image manifest and conversion settings, loaded on first use.
+ * @property {() => void} invalidate - Forget the loaded options after an image or the config changed.
+ */
+
+/**
+ * Keep the dev server's image manifest between requests and rebuilds. Loading it imports the
+ * config and reads every source image, which a page with many `srcset` candidates would
+ * otherwise do once per variant request.
+ * @param {string} basePath - Normalized deploy base path.
+ * @returns {DevImageOptions} Shared image options.
+ */
+function createDevImageOptions(basePath) {
+    /** @type {Promise<DevImageTransformOptions> | null} */
+    let loading = null;
+
+    return { load, invalidate };
+
+    /**
+     * Load the image options, or reuse them while nothing changed.
+     * @returns {Promise<DevImageTransformOptions>} Image options.
+     */
+    function load() {
+        if (!loading) {
+            const currentLoad = loadResponsiveImageOptions(basePath);
+            loading = currentLoad;
+            // Try again on the next request after a config or image error.
+            currentLoad.catch(() => {
+                if (loading === currentLoad) loading = null;
+            });
+        }
+        return loading;
+    }
+
+    /**
+     * Load the image options again on next use.
+     * @returns {void}
+     */
+    function invalidate() {
+        loading = null;
+    }
+}
+
 /**
  * Generate the SVG sprite partial before dev or build work begins.
  * @returns {import('vite').Plugin} Vite plugin definition.
@@ -64,21 +131,26 @@ function svgSpritePlugin() {
 
 /**
  * Recompile affected EJS pages and trigger a full browser reload.
+ * @param {DevImageOptions} devImages - Shared image manifest of the dev server.
  * @returns {import('vite').Plugin} Vite dev plugin.
  */
-function ejsLiveReload() {
-    /** @type {{
-     *   pages: Set<string>,
-     *   partials: Set<string>,
-     *   includes: Map<string, Set<string>>,
-     *   dependents: Map<string, Set<string>>
-     * } | null} */
+function ejsLiveReload(devImages) {
+    /** @type {import('./scripts/compile-ejs.js').DependencyGraph | null} */
     let graph = null;
     /** @type {Set<string>} */
     let pending = new Set();
     /** @type {ReturnType<typeof setTimeout> | null} */
     let timer = null;
+    /** @type {import('vite').ErrorPayload | null} */
+    let lastError = null;
     const dataDir = pathResolve(PROJECT_ROOT, 'src/data');
+    const localesDir = pathResolve(PROJECT_ROOT, 'src/locales');
+    const imagesDir = pathResolve(PROJECT_ROOT, 'src/assets/images');
+    const configFile = findProjectConfigFile();
+    const pageDirs = [
+        pathResolve(PROJECT_ROOT, 'src/pages'),
+        pathResolve(PROJECT_ROOT, 'src/content')
+    ];
 
     return {
         name: 'ejs-live-reload',
@@ -89,12 +161,17 @@ function ejsLiveReload() {
          * @returns {Promise<void>}
          */
         async configureServer(server) {
+            if (PAGE_DEPENDENCIES_FILE) loadPageDependencies(PAGE_DEPENDENCIES_FILE);
             graph = await buildDependencyGraph();
             const srcDir = pathResolve(PROJECT_ROOT, 'src');
             const watchGlobs = [
                 `${srcDir}/**/*.ejs`,
-                `${dataDir}/**/*.json`,
-                srcDir
+                `${srcDir}/**/*.md`,
+                ...DATA_FILE_EXTENSIONS.map((extension) => `${dataDir}/**/*${extension}`),
+                `${localesDir}/*.json`,
+                `${srcDir}/components/**/*.fixtures.json`,
+                srcDir,
+                ...configFile ? [configFile] : []
             ];
 
             server.watcher.add(watchGlobs);
@@ -102,19 +179,43 @@ function ejsLiveReload() {
             server.watcher.on('change', handleChange);
             server.watcher.on('add', handleAdd);
             server.watcher.on('unlink', handleUnlink);
+            server.ws.on('connection', showLastError);
 
+            /**
+             * Forward a watcher `change` event.
+             * @param {string} filePath - Path reported by the watcher.
+             * @returns {void}
+             */
             function handleChange(filePath) {
                 handleWatchedFileChange('change', filePath);
             }
 
+            /**
+             * Forward a watcher `add` event.
+             * @param {string} filePath - Path reported by the watcher.
+             * @returns {void}
+             */
             function handleAdd(filePath) {
                 handleWatchedFileChange('add', filePath);
             }
 
+            /**
+             * Forward a watcher `unlink` event.
+             * @param {string} filePath - Path reported by the watcher.
+             * @returns {void}
+             */
             function handleUnlink(filePath) {
                 handleWatchedFileChange('unlink', filePath);
             }
 
+            /**
+             * Show a pending build error again in browsers that (re)load a stale page.
+             * @returns {void}
+             */
+            function showLastError() {
+                if (lastError) server.ws.send(lastError);
+            }
+
             /**
              * Rebuild affected pages and force a browser reload.
              * @param {'change' | 'add' | 'unlink'} type - Watcher event name.
@@ -122,7 +223,18 @@ function ejsLiveReload() {
              * @returns {void}
              */
             function handleWatchedFileChange(type, filePath) {
-                if (!filePath.endsWith('.ejs') && !isGlobalDataFile(filePath)) return;
+                if (
+                    !filePath.endsWith('.ejs')
+                    && !isMarkdownPageFile(filePath)
+                    && !isPageDataSourceFile(filePath)
+                    && !isGlobalDataFile(filePath)
+                    && !isLocaleFile(filePath)
+                    && !isComponentFixtureFile(toAbs(filePath))
+                    && !isHelperFile(toAbs(filePath))
+                    && !isSourceImageFile(filePath)
+                    && !isConfigFile(filePath)
+                ) return;
+                if (isSourceImageFile(filePath) || isConfigFile(filePath)) devImages.invalidate();
                 const absolutePath = toAbs(filePath);
                 console.log(`[ejs-live-reload] ${type}:`, absolutePath);
                 schedule(server, absolutePath);
@@ -140,18 +252,70 @@ function ejsLiveReload() {
     }
 
     /**
-     * Check whether a changed file belongs to global JSON data.
+     * Check whether a changed file belongs to global data.
      * @param {string} filePath - Relative or absolute path.
-     * @returns {boolean} `true` when the file is a JSON file under `src/data`.
+     * @returns {boolean} `true` when the file is a supported data file (JSON, YAML, TOML, CSV or JS) under `src/data`.
      */
     function isGlobalDataFile(filePath) {
         const absolutePath = toAbs(filePath);
         const isInsideDataDir = absolutePath.startsWith(`${dataDir}${pathSep}`);
-        return isInsideDataDir && absolutePath.endsWith('.json');
+        return isInsideDataDir && DATA_FILE_EXTENSIONS.some((extension) => absolutePath.endsWith(extension));
+    }
+
+    /**
+     * Check whether a changed file is a translation dictionary.
+     * @param {string} filePath - Relative or absolute path.
+     * @returns {boolean} `true` for `.json` files directly under `src/locales`.
+     */
+    function isLocaleFile(filePath) {
+        const absolutePath = toAbs(filePath);
+        return absolutePath.endsWith('.json') && dirname(absolutePath) === localesDir;
+    }
+
+    /**
+     * Check whether a changed file is a source image, whose size ends up in the `<img>` markup.
+     * @param {string} filePath - Relative or absolute path.
+     * @returns {boolean} `true` for files under `src/assets/images`.
+     */
+    function isSourceImageFile(filePath) {
+        return toAbs(filePath).startsWith(`${imagesDir}${pathSep}`);
+    }
+
+    /**
+     * Check whether a changed file is the project config, which holds the image conversion settings.
+     * @param {string} filePath - Relative or absolute path.
+     * @returns {boolean} `true` for the loaded `gzero.config.js`.
+     */
+    function isConfigFile(filePath) {
+        return toAbs(filePath) === configFile;
+    }
+
+    /**
+     * Check whether a changed file is a Markdown page.
+     * @param {string} filePath - Relative or absolute path.
+     * @returns {boolean} `true` when the file is a `.md` file under `src/pages` or `src/content`.
+     */
+    function isMarkdownPageFile(filePath) {
+        const absolutePath = toAbs(filePath);
+        if (!absolutePath.endsWith('.md')) return false;
+        return pageDirs.some((pageDir) => absolutePath.startsWith(`${pageDir}${pathSep}`));
+    }
+
+    /**
+     * Check whether a changed file is a co-located page data file.
+     * @param {string} filePath - Relative or absolute path.
+     * @returns {boolean} `true` for `*.data.json` / `*.data.js` files under `src/pages` or `src/content`.
+     */
+    function isPageDataSourceFile(filePath) {
+        const absolutePath = toAbs(filePath);
+        if (!isPageDataFile(absolutePath)) return false;
+        return pageDirs.some((pageDir) => absolutePath.startsWith(`${pageDir}${pathSep}`));
     }
 
     /**
      * Rebuild affected pages and force a browser reload.
+     * Build errors are shown in the browser's Vite error overlay instead of stopping the dev server;
+     * the reload after the next successful rebuild clears it.
      * @param {import('vite').ViteDevServer} server - Active Vite dev server.
      * @returns {Promise<void>}
      */
@@ -161,24 +325,81 @@ function ejsLiveReload() {
         clearTimeout(timer ?? undefined);
         timer = null;
 
-        const hasGlobalDataChanges = changed.some(isGlobalDataFile);
-        if (hasGlobalDataChanges) {
-            await compileAll();
+        try {
+            await rebuild(server, changed);
+            lastError = null;
             server.ws.send({ type: 'full-reload' });
-            return;
+        } catch (err) {
+            const message = err instanceof Error ? err.message : String(err);
+            console.error('[ejs-live-reload] rebuild failed:', message);
+            lastError = { type: 'error', err: createErrorOverlayDetails(err) };
+            server.ws.send(lastError);
         }
+    }
 
+    /**
+     * Recompile the pages affected by a batch of changed files.
+     * Global data changes rebuild only the pages that read the changed top-level `globalData` keys;
+     * translation, helper, image and config changes rebuild every page.
+     * @param {import('vite').ViteDevServer} server - Active Vite dev server.
+     * @param {string[]} changed - Absolute paths of changed files.
+     * @returns {Promise<void>}
+     */
+    async function rebuild(server, changed) {
         graph = await buildDependencyGraph();
+        const imageOptions = await devImages.load();
+
+        const dataChanges = changed.filter(isGlobalDataFile);
+        // Until every page has been rendered by this process, its data reads are unknown.
+        if (
+            changed.some(isLocaleFile)
+            || changed.some(isHelperFile)
+            || changed.some(isSourceImageFile)
+            || changed.some(isConfigFile)
+            || (dataChanges.length && graph.untrackedPages.size)
+        ) {
+            await compileAll(undefined, imageOptions);
+            return;
+        }
 
-        const impacted = getImpactedPages(changed, graph);
-        if (impacted.size === 0) {
-            await compileAll();
+        // Fixtures and components no page renders only feed the component gallery, which renders
+        // on request; the reload is enough. With untracked pages, a component may be used unseen.
+        const templateChanges = changed.filter((filePath) => (
+            !isPageDataSourceFile(filePath)
+            && !isGlobalDataFile(filePath)
+            && !isComponentFixtureFile(filePath)
+            && !isUnusedComponent(filePath)
+        ));
+        const impacted = getImpactedPages(templateChanges, graph);
+        if (templateChanges.length && impacted.size === 0) {
+            await compileAll(undefined, imageOptions);
         } else {
+            if (dataChanges.length) {
+                const dataReaders = getPagesReadingData(dataChanges, graph);
+                // When no page reads the changed data, it must still load and match its schema.
+                if (!dataReaders.size) await collectPageEntries();
+                for (const page of dataReaders) impacted.add(page);
+            }
+            for (const filePath of changed) {
+                if (!isPageDataSourceFile(filePath)) continue;
+                const ownerPage = getPageDataOwner(filePath);
+                if (ownerPage) impacted.add(ownerPage);
+            }
             for (const page of impacted) {
-                await compilePage(page);
+                await compilePage(page, undefined, imageOptions);
             }
         }
-        server.ws.send({ type: 'full-reload' });
+    }
+
+    /**
+     * Check whether a changed file is a component that no page renders, such as a new component
+     * only shown in the gallery so far.
+     * @param {string} filePath - Absolute path.
+     * @returns {boolean} `true` for a file under `src/components` without page dependents.
+     */
+    function isUnusedComponent(filePath) {
+        if (!graph || graph.untrackedPages.size || !isComponentFile(filePath)) return false;
+        return getImpactedPages([filePath], graph).size === 0;
     }
 
     /**
@@ -200,11 +421,58 @@ function ejsLiveReload() {
 }
 
 /**
- * Serve source assets directly from `src/assets` during development.
+ * Serve the component gallery at `/__gzero/components/` during development.
+ * The page is rendered on every request and never written to `dev-html/` or `build/`.
  * @param {string} basePath - Normalized deploy base path.
  * @returns {import('vite').Plugin} Vite dev plugin.
  */
-function sourceAssetsPlugin(basePath) {
+function componentGalleryPlugin(basePath) {
+    const galleryUrl = withBase(COMPONENT_GALLERY_ROUTE, basePath);
+
+    return {
+        name: 'component-gallery',
+        apply: 'serve',
+        /**
+         * Register the gallery middleware.
+         * @param {import('vite').ViteDevServer} server - Active Vite dev server.
+         * @returns {void}
+         */
+        configureServer(server) {
+            /**
+             * Render the gallery for requests to its URL; other requests pass through.
+             * @param {import('node:http').IncomingMessage} req - Incoming HTTP request.
+             * @param {import('node:http').ServerResponse} res - HTTP response.
+             * @param {(err?: unknown) => void} next - Pass-through callback.
+             * @returns {Promise<void>}
+             */
+            server.middlewares.use(async (req, res, next) => {
+                const [pathname] = (req.url ?? '').split('?');
+                if (pathname !== galleryUrl && `${pathname}/` !== galleryUrl) {
+                    next();
+                    return;
+                }
+
+                try {
+                    // transformIndexHtml injects the Vite client, so the gallery live-reloads like pages do.
+                    const html = await server.transformIndexHtml(galleryUrl, await renderComponentGallery(basePath));
+                    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                    res.end(html);
+                } catch (err) {
+                    next(err);
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Serve source assets directly from `src/assets` during development, and the responsive image
+ * variants the compiled pages reference, generated on first request like `gzero-build` emits them.
+ * @param {string} basePath - Normalized deploy base path.
+ * @param {DevImageOptions} devImages - Shared image manifest of the dev server.
+ * @returns {import('vite').Plugin} Vite dev plugin.
+ */
+function sourceAssetsPlugin(basePath, devImages) {
     const srcAssetsDir = pathResolve(PROJECT_ROOT, 'src/assets');
     const viteManagedAssetDirs = new Set(['css', 'js']);
 
@@ -230,7 +498,8 @@ function sourceAssetsPlugin(basePath) {
                 if (!file.startsWith(srcAssetsDir)) return;
                 const relativePath = file.slice(srcAssetsDir.length + 1).replaceAll('\\', '/');
                 const [topLevelDir] = relativePath.split('/');
-                if (viteManagedAssetDirs.has(topLevelDir)) return;
+                // ejs-live-reload recompiles the pages for image changes, then reloads.
+                if (viteManagedAssetDirs.has(topLevelDir) || topLevelDir === 'images') return;
                 console.log(`[source-assets] ${type}:`, file);
                 server.ws.send({ type: 'full-reload' });
             };
@@ -240,13 +509,13 @@ function sourceAssetsPlugin(basePath) {
             server.watcher.on('unlink', reloadOnAssetChange('unlink'));
 
             /**
-             * Serve matching `/assets/**` requests from `src/assets`.
+             * Serve matching `/assets/**` requests from `src/assets` or the generated image variants.
              * @param {import('node:http').IncomingMessage} req - Incoming HTTP request.
              * @param {import('node:http').ServerResponse} res - HTTP response.
-             * @param {() => void} next - Pass-through callback.
-             * @returns {void}
+             * @param {(err?: unknown) => void} next - Pass-through callback.
+             * @returns {Promise<void>}
              */
-            server.middlewares.use((req, res, next) => {
+            server.middlewares.use(async (req, res, next) => {
                 const requestUrl = req.url ?? '';
 
                 if (!isSourceAssetUrl(requestUrl, basePath)) {
@@ -261,6 +530,18 @@ function sourceAssetsPlugin(basePath) {
                 }
 
                 if (!isExistingFile(resolved.sourcePath)) {
+                    let variantPath = null;
+                    try {
+                        variantPath = await writeImageVariant(resolved.relativePath);
+                    } catch (err) {
+                        next(err);
+                        return;
+                    }
+                    if (variantPath) {
+                        streamSourceAsset(res, variantPath);
+                        return;
+                    }
+
                     console.warn(`[source-assets] 404 ${requestUrl} -> ${resolved.sourcePath}`);
                     res.statusCode = 404;
                     res.setHeader('Content-Type', 'text/plain; charset=utf-8');
@@ -272,6 +553,18 @@ function sourceAssetsPlugin(basePath) {
             });
         }
     };
+
+    /**
+     * Generate the responsive image variant behind an asset path.
+     * @param {string} relativePath - Requested path relative to `src/assets`, e.g. `images/maya-960.webp`.
+     * @returns {Promise<string | null>} Absolute path of the generated file, or `null` when no source image produces it.
+     */
+    async function writeImageVariant(relativePath) {
+        if (!relativePath.startsWith('images/')) return null;
+        const { imageManifest } = await devImages.load();
+        const match = findImageVariant(imageManifest, relativePath.slice('images/'.length));
+        return match ? writeDevImageVariant(match) : null;
+    }
 }
 
 /**
@@ -300,13 +593,31 @@ function findHtmlEntries(rootDir) {
     return entries;
 }
 
-export default defineConfig(async () => {
+/**
+ * @typedef {Object} ViteConfigOptions
+ * @property {string} [htmlRoot] - Absolute directory of the compiled HTML pages, defaults to `dev-html/`
+ * or `GZERO_HTML_ROOT`.
+ * @property {boolean} [exitOnSignal] - Exit the process on SIGINT/SIGTERM while the dev server runs.
+ * @property {import('./scripts/plugins.js').GroundZeroPlugin[]} [plugins] - Plugins loaded by the caller; loaded from
+ * config when omitted.
+ */
+
+/**
+ * Create the ground-zero Vite config for the dev server and production bundling.
+ * Used by the CLI through this config file and by the Node API with `configFile: false`.
+ * @param {ViteConfigOptions} [options] - HTML root, process handling and preloaded plugins.
+ * @returns {Promise<import('vite').InlineConfig>} Vite config.
+ */
+export async function createViteConfig(options = {}) {
+    const { htmlRoot = HTML_ROOT, exitOnSignal = true } = options;
     const basePath = await loadBasePath();
-    const htmlInputs = findHtmlEntries(HTML_ROOT);
+    const plugins = options.plugins ?? await loadPlugins();
+    const htmlInputs = findHtmlEntries(htmlRoot);
+    const devImages = createDevImageOptions(basePath);
 
     return {
         base: basePath,
-        root: HTML_ROOT,
+        root: htmlRoot,
         publicDir: pathResolve(PROJECT_ROOT, 'public'),
         server: {
             fs: {
@@ -328,9 +639,13 @@ export default defineConfig(async () => {
         },
         plugins: [
             svgSpritePlugin(),
-            ejsLiveReload(),
-            sourceAssetsPlugin(basePath),
-            browserSyncPlugin()
+            ejsLiveReload(devImages),
+            componentGalleryPlugin(basePath),
+            sourceAssetsPlugin(basePath, devImages),
+            browserSyncPlugin({ exitOnSignal }),
+            ...getVitePlugins(plugins)
         ]
     };
-});
+}
+
+export default defineConfig(() => createViteConfig());